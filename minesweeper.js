@@ -1,590 +1,595 @@
-// https://en.wikipedia.org/wiki/Minesweeper_(video_game)
-
-/*
- Gameplay
- Minesweeper is a puzzle video game.
- In the game, mines (that resemble naval mines in the classic theme) are scattered throughout a board, which is divided into cells.
- 1) Cells have three states: unopened, opened and flagged.
- 2) An unopened cell is blank and clickable, while an opened cell is exposed.
- 3) Flagged cells are those marked by the player to indicate a potential mine location.
-
- A player selects a cell to open it.
- If a player opens a mined cell, the game ends.
- Otherwise, the opened cell displays either a number, indicating the number of mines diagonally and/or adjacent to it, or a blank tile (or "0"), and all adjacent non-mined cells will automatically be opened.
- Players can also flag a cell, visualised by a flag being put on the location, to denote that they believe a mine to be in that place.
- Flagged cells are still considered unopened, and a player can click on them to open them.
- In some versions of the game when the number of adjacent mines is equal to the number of adjacent flagged cells, all adjacent non-flagged unopened cells will be opened, a process known as chording.
- */
-
-/*
- Objective and strategy
- A game of Minesweeper begins when the player first selects a cell on a board.
- In some variants the first click is guaranteed to be safe, and some further guarantee that all adjacent cells are safe as well.
- During the game, the player uses information given from the opened cells to deduce further cells that are safe to open, iteratively gaining more information to solve the board.
- The player is also given the number of remaining mines in the board, known as the mine count, which is calculated as the total number of mines subtracted by the number of flagged cells (thus the mine count can be negative if too many flags have been placed).
-
- To win a game of Minesweeper, all non-mine cells must be opened without opening a mine.
- There is no score, but there is a timer recording the time taken to finish the game.
- Difficulty can be increased by adding mines or starting with a larger grid.
- Most variants of Minesweeper that are not played on a fixed board offer three default board configurations, usually known as Beginner, Intermediate, and Expert, in order of increasing difficulty.
- Beginner is usually on an 8x8 or 9x9 board containing 10 mines, Intermediate is usually on a 16x16 board with 40 mines and expert is usually on a 30x16 board with 99 mines; however, there is usually an option to customise board size and mine count.
- */
+// Minesweeper command line game, the game engine is in minesweeper/engine.js
 
 // Must install prompt-sync module before running the code
 // npm install prompt-sync
 const prompt = require("prompt-sync")();
-
-// Game difficulty levels
-class Difficulty {
-    static #_BEGINNER = new Difficulty("Beginner", 8, 8, 10);
-    static #_INTERMEDIATE = new Difficulty("Intermediate", 16, 16, 40);
-    static #_EXPERT = new Difficulty("Expert", 30, 16, 99);
-
-    #_name;
-    #_rows;
-    #_cols;
-    #_mines;
-
-    constructor(name, rows, cols, mines) {
-        this.#_name = name;
-        this.#_rows = rows;
-        this.#_cols = cols;
-        this.#_mines = mines;
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { RecordsStore } = require("./minesweeper/records");
+const { DailyChallenge } = require("./minesweeper/daily");
+const { playWithKeyboard } = require("./minesweeper/keyboard");
+const { playWithJson } = require("./minesweeper/protocol");
+const { CommandError, CommandHistory, parseCommands, formatHelp } = require("./minesweeper/commands");
+const { createRenderer, selectTheme } = require("./minesweeper/renderers");
+const { Difficulty, Topology, FirstClick, Board } = require("./minesweeper/engine");
+const { Messages, t, selectLocale } = require("./minesweeper/i18n");
+
+// Prompt for game commands, the up and down arrows recall earlier commands
+const commandPrompt = require("prompt-sync")({ history: new CommandHistory() });
+
+// Default file used to save and load games
+const SAVE_FILE = "minesweeper-save.json";
+
+// Print game info
+function printGameInfo(board) {
+    let info = board.getGameInfo();
+    console.log(t("info.difficulty", Difficulty.label(info.difficulty)));
+    if (info.topology !== Topology.SQUARE.name) { console.log(t("info.topology", info.topology)); }
+    console.log(t("info.firstClick", board.firstClick.description));
+    if (info.seed !== null) { console.log(t("info.seed", info.seed)); }
+    if (info.status.isNoGuess && info.status.isGameStarted) {
+        console.log(t("info.board", info.status.isGuessFree ? t("info.guessFree") : t("info.guessNotFound")));
     }
-
-    static get BEGINNER() { return this.#_BEGINNER; }
-
-    static get INTERMEDIATE() { return this.#_INTERMEDIATE; }
-
-    static get EXPERT() { return this.#_EXPERT; }
-
-    get name() { return this.#_name; }
-
-    get rows() { return this.#_rows; }
-
-    get cols() { return this.#_cols; }
-
-    get mines() { return this.#_mines; }
+    if (info.status.isPractice) {
+        console.log(t("info.mode", info.status.isAssisted ? t("info.assisted", info.stats.undos) : t("info.practice")));
+    }
+    console.log(t("info.status", formatStatus(info.status)));
+
+    console.log(t("info.time", formatTime(info.stats.gameTimeInMillisecond)));
+    console.log(t("info.openedCells", info.stats.openedCells));
+    console.log(t("info.remainingMines", info.stats.remainingMines));
+    console.log(t("info.flags", info.stats.flags));
+    if (info.stats.lives > 1) { console.log(t("info.lives", formatLives(info.stats))); }
+    if (info.stats.hints > 0) { console.log(t("info.hints", info.stats.hints)); }
+    console.log(t("info.clicks", formatClicks(info.stats.clicks)));
+
+    // The 3BV tells how open the layout is, it is only shown once the game is over
+    if (info.status.isGameOver || info.status.isGameWon) { console.log(t("info.bbbv", info.stats.bbbv)); }
+    if (info.stats.bbbvPerSecond !== null) { console.log(t("info.bbbvPerSecond", info.stats.bbbvPerSecond.toFixed(2))); }
+    if (info.stats.efficiency !== null) { console.log(t("info.efficiency", Math.round(info.stats.efficiency * 100))); }
 }
 
-// Cell State
-class CellState {
-    static UNOPENED = "X";
-    static FLAGGED = "\x1b[33mF\x1b[0m";
-    static MINE = "\x1b[31mM\x1b[0m";
-    static NO_ADJACENT = " ";
-    static ADJACENT = "\x1b[34m{0}\x1b[0m";
-    #_isMine;
-    #_isFlagged;
-    #_isOpened;
-    #_adjacentMines;
-    #_currentState;
-    #_defaultState;
-
-    constructor() {
-        this.#_isMine = false;
-        this.#_isFlagged = false;
-        this.#_isOpened = false;
-        this.#_adjacentMines = 0;
-        this.#_currentState = CellState.UNOPENED;
-        this.#_defaultState = CellState.NO_ADJACENT;
-    }
+// Format the status of a game
+function formatStatus({ isGameOver, isGameWon }) {
+    return isGameOver ? t("status.over") : (isGameWon ? t("status.won") : t("status.playing"));
+}
 
-    get isMine() { return this.#_isMine; }
+// Format the lives left of a lives game
+function formatLives({ lives, livesUsed }) { return t("info.livesLeft", lives - livesUsed, lives); }
 
-    set isMine(value) {
-        this.#_isMine = value;
+// Format a game time in milliseconds as seconds with 3 decimals
+function formatTime(milliseconds) { return (milliseconds / 1000).toFixed(3); }
 
-        if (this.#_isMine) {
-            this.#_defaultState = CellState.MINE;
-        } else {
-            this.#_defaultState = CellState.NO_ADJACENT;
-        }
+// Format the click counts, the total is followed by the count of every kind of click
+function formatClicks({ left, right, chord, wasted }) {
+    return t("info.clickCounts", left + right + chord, left, right, chord, wasted);
+}
 
-        this.#_currentState = CellState.UNOPENED;
-        this.#_adjacentMines = 0;
-        this.#_isOpened = false;
-        this.#_isFlagged = false;
-    }
+// Check if the answer to a yes or no question is yes, the letter of yes depends on the locale
+function isYes(answer) { return answer.trim().toLowerCase() === t("answer.yes"); }
 
-    get isFlagged() { return this.#_isFlagged; }
+// Ask for an optional game seed, a blank answer means a random seed
+function promptSeed() {
+    let seed = prompt(t("prompt.seed")).trim();
+    return seed === "" ? null : seed;
+}
 
-    set isFlagged(value) {
-        if (this.#_isOpened) { return; }
+// Ask for the first click policy until it is valid, a blank answer keeps the random policy
+function promptFirstClick() {
+    console.log(t("prompt.firstClickPolicies"));
+    FirstClick.POLICIES.forEach((policy) => console.log(`  ${ policy.name.padEnd(8, " ") }${ policy.description }`));
 
-        this.#_isFlagged = value;
+    while (true) {
+        let name = prompt(t("prompt.firstClick")).trim().toLowerCase();
 
-        if (this.#_isFlagged) {
-            this.#_currentState = CellState.FLAGGED;
-        } else {
-            this.#_currentState = CellState.UNOPENED;
+        try {
+            return FirstClick.fromName(name === "" ? FirstClick.RANDOM.name : name);
+        } catch (error) {
+            if (!(error instanceof RangeError)) { throw error; }
+            console.log(t("prompt.tryAgain", error.message) + "\n");
         }
     }
+}
 
-    get isOpened() { return this.#_isOpened; }
-
-    set isOpened(value) {
-        this.#_isOpened = value;
+// Ask for the number of lives until it is valid, a blank answer means a classic game with 1 life
+function promptLives() {
+    while (true) {
+        let answer = prompt(t("prompt.lives")).trim();
+        let lives = answer === "" ? 1 : Number(answer);
 
-        if (this.#_isOpened) {
-            this.#_currentState = this.#_defaultState;
-        } else {
-            this.#_currentState = CellState.UNOPENED;
-        }
+        if (Number.isInteger(lives) && lives >= 1) { return lives; }
+        console.log(t("prompt.tryAgain", t("board.lives")) + "\n");
     }
+}
 
-    get adjacentMines() { return this.#_adjacentMines; }
-
-    set adjacentMines(value) {
-        if (this.#_isMine) { return; }
-        if (value < 0) { return; }
-
-        this.#_adjacentMines = value;
+// Ask for the board topology until it is valid, a blank answer means a square board
+function promptTopology() {
+    while (true) {
+        let name = prompt(t("prompt.topology")).trim().toLowerCase();
 
-        if (this.#_adjacentMines > 0) {
-            this.#_defaultState = CellState.#formatAdjacent(CellState.ADJACENT, value);
-        } else {
-            this.#_defaultState = CellState.NO_ADJACENT;
+        try {
+            return Topology.fromName(name === "" ? Topology.SQUARE.name : name);
+        } catch (error) {
+            if (!(error instanceof RangeError)) { throw error; }
+            console.log(t("prompt.tryAgain", error.message) + "\n");
         }
-
-        if (this.#_isOpened) { this.#_currentState = this.#_defaultState; }
     }
-
-    get currentState() { return this.#_currentState; }
-
-    static #formatAdjacent = (template, ...args) => template.replace(/{(\d+)}/g, (match, index) => args[index]);
 }
 
-// Cell
-class Cell {
-    #_row;
-    #_col;
-    #_state;
-
-    constructor(row, col) {
-        this.#_row = row;
-        this.#_col = col;
-        this.#_state = new CellState();
-    }
-
-    get row() { return this.#_row; }
-
-    get col() { return this.#_col; }
+// Ask for the board options of a new game
+function promptBoardOptions() {
+    let seed = promptSeed();
+    let topology = promptTopology();
+    let firstClick = promptFirstClick();
+    let lives = promptLives();
+    let noGuess = isYes(prompt(t("prompt.noGuess")));
+    let practice = isYes(prompt(t("prompt.practice")));
+    return { seed: seed, topology: topology, firstClick: firstClick, lives: lives, noGuess: noGuess, practice: practice };
+}
 
-    get state() { return this.#_state; }
+// Describe a recorded move
+function describeMove({ action, row, col }) {
+    return t("replay.moveCell", t(`replay.${ action }`), row + 1, col + 1);
 }
 
-// The game board is a grid of cells with mines placed randomly except the initial cell
-class Board {
-
-    // 8 directions: top-left, top, top-right, left, right, bottom-left, bottom, bottom-right
-    static #_directions = [[-1, -1], [-1, 0], [-1, 1], [0, -1], [0, 1], [1, -1], [1, 0], [1, 1]];
-
-    // Game board properties
-    #_difficulty;
-    #_rows;
-    #_cols;
-    #_mines;
-    #_cells;
-    #_minesList;
-    #_flags;
-    #_openedCells;
-    #_isGameOver;
-    #_isGameWon;
-    #_startTime;
-    #_endTime;
-
-    // Initialize the board with a difficulty level
-    constructor(difficulty) {
-        this.#_difficulty = difficulty.name;
-        this.#_rows = difficulty.rows;
-        this.#_cols = difficulty.cols;
-        this.#_mines = difficulty.mines;
-        this.reset();
+// Ask the solver for a hint, return the message and the cell to highlight
+function showHint(board) {
+    if (!board.getGameInfo().status.isGameStarted) {
+        return [board.firstClick.isSafe ? t("hint.startSafe") : t("hint.start"), null];
     }
 
-    get rows() { return this.#_rows; }
+    let hint = board.hint();
+    if (hint === null) { return [t("hint.guess"), null]; }
 
-    get cols() { return this.#_cols; }
+    return [t(hint.isMine ? "hint.mine" : "hint.safe", hint.row + 1, hint.col + 1), [hint.row, hint.col]];
+}
 
-    get difficulty() { return this.#_difficulty; }
+// Step through a finished game one move at a time
+function showReplay(board) {
+    let moves = board.getMoveHistory().length;
+    let step = 0;
 
-    // Return the board columns indices
-    static #getColumnIndices(length) {
-        let line = "    ";
+    for (let { move, board: replayBoard } of board.replay()) {
+        step++;
+        console.clear();
+        printGameInfo(replayBoard);
+        console.log("\n\n" + replayBoard.toString() + "\n");
+        console.log(t("replay.move", step, moves, describeMove(move)) + "\n");
 
-        for (let col = 1; col <= length; col++) {
-            line += `${ col }`.padEnd(6, " ");
+        if (step < moves && prompt(t("replay.next")).trim().toLowerCase() === t("answer.stop")) {
+            return;
         }
-        return line
     }
+    prompt(t("replay.end"));
+}
 
-    // Return the board row line
-    static #getRowLine(length) {
-        let line = "  ";
-
-        for (let j = 0; j < length; j++) {
-            line += "-----";
-            if (j < length - 1) { line += "+"; }
+// Ask for a custom board size and mine count until they are valid
+function promptCustomDifficulty() {
+    while (true) {
+        let rows = parseInt(prompt(t("prompt.rows", Difficulty.MIN_ROWS, Difficulty.MAX_ROWS)), 10);
+        let cols = parseInt(prompt(t("prompt.cols", Difficulty.MIN_COLS, Difficulty.MAX_COLS)), 10);
+        let maxMines = Number.isInteger(rows) && Number.isInteger(cols) ? Difficulty.maxMines(rows, cols) : "?";
+        let mines = parseInt(prompt(t("prompt.mines", Difficulty.MIN_MINES, maxMines)), 10);
+
+        try {
+            return Difficulty.custom(rows, cols, mines);
+        } catch (error) {
+            if (!(error instanceof RangeError)) { throw error; }
+            console.log(t("prompt.tryAgain", error.message) + "\n");
         }
-        return line;
     }
+}
 
-    // Start the game
-    startGame(row, col) {
-        if (row < 0 || row >= this.#_rows || col < 0 || col >= this.#_cols) {
-            throw new RangeError(`Invalid cell position: row: ${ row }, col: ${ col }`);
-        }
-
-        this.reset();
-        this.#placeMines(row, col);
-        this.#_startTime = new Date();
-    }
+// Ask for the file used to save or load a game
+function promptSaveFile() {
+    let file = prompt(t("prompt.file", SAVE_FILE)).trim();
+    return file === "" ? SAVE_FILE : file;
+}
 
-    // Restart the game
-    reset() {
-        this.#_cells = [];
-        this.#_minesList = [];
-        this.#_flags = 0;
-        this.#_openedCells = 0;
-        this.#_isGameOver = false;
-        this.#_isGameWon = false;
-        this.#_startTime = null;
-        this.#_endTime = null;
-        this.#init();
+// Save the game to a file and return a status message
+// A .txt file gets the text board layout and a .mbf file the binary mine layout, other files the full game as JSON
+function saveGameToFile(board, file) {
+    try {
+        writeGameFile(board, file);
+        return t("file.saved", file);
+    } catch (error) {
+        return t("file.saveError", error.message);
     }
+}
 
-    // Initialize the board
-    #init() {
-        for (let row = 0; row < this.#_rows; row++) {
-            this.#_cells[row] = [];
+// Load a game from a file chosen by the player, return the board or the error message
+function loadGame() { return loadGameFromFile(promptSaveFile()); }
 
-            for (let col = 0; col < this.#_cols; col++) {
-                this.#_cells[row][col] = new Cell(row, col);
-            }
-        }
+// Load a game from a JSON save, a .txt board layout or a .mbf mine layout, return the board or the error message
+function loadGameFromFile(file) {
+    try {
+        return { board: readGameFile(file) };
+    } catch (error) {
+        return { error: t("file.loadError", file, error.message) };
     }
+}
 
-    #getAdjacentCells(row, col) {
-        let adjacentCells = [];
-        for (let [dirRow, dirCol] of Board.#_directions) {
-            let newRow = row + dirRow;
-            let newCol = col + dirCol;
-
-            if (newRow < 0 || newRow >= this.#_rows) { continue; }
-            if (newCol < 0 || newCol >= this.#_cols) { continue; }
-
-            adjacentCells.push([newRow, newCol]);
-        }
-        return adjacentCells;
+// Write a game file, the extension chooses the format: .txt board layout, .mbf mine layout or a JSON save
+function writeGameFile(board, file) {
+    switch (path.extname(file).toLowerCase()) {
+        case ".txt":
+            fs.writeFileSync(file, board.toText());
+            break;
+        case ".mbf":
+            fs.writeFileSync(file, board.toMbf());
+            break;
+        default:
+            fs.writeFileSync(file, JSON.stringify(board, null, 2));
     }
+}
 
-    static #shuffleArray(array) {
-        for (let i = array.length - 1; i > 0; i--) {
-            let j = Math.floor(Math.random() * (i + 1));
-            [array[i], array[j]] = [array[j], array[i]];
-        }
+// Read the board of a game file written by writeGameFile
+function readGameFile(file) {
+    switch (path.extname(file).toLowerCase()) {
+        case ".txt":
+            return Board.fromText(fs.readFileSync(file, "utf8"));
+        case ".mbf":
+            return Board.fromMbf(fs.readFileSync(file));
+        default:
+            return Board.fromJSON(fs.readFileSync(file, "utf8"));
     }
+}
 
-    #buildCellsListWithoutMines(excludeCells) {
-        let cellsList = [];
-
-        for (let row = 0; row < this.#_rows; row++) {
-            for (let col = 0; col < this.#_cols; col++) {
-                let strCell = `${ row },${ col }`;
-
-                if (excludeCells.has(strCell)) { continue; }
-                cellsList.push([row, col]);
-            }
-        }
-        return cellsList;
+// Run an action with the records store, printing a warning when a corrupted records file was moved aside
+function withRecords(action) {
+    let store = new RecordsStore();
+
+    try {
+        return action(store);
+    } catch (error) {
+        console.log(t("records.updateError", error.message));
+        return null;
+    } finally {
+        let warning = store.takeWarning();
+        if (warning !== null) { console.log(warning); }
     }
+}
 
-    // Place mines randomly except the initial cell
-    #placeMines(initialRow, initialCol) {
-        let mines = this.#_mines;
-
-        // Exclude the initial cell and its adjacent cells
-        let adjacentCells = this.#getAdjacentCells(initialRow, initialCol);
-
-        Board.#shuffleArray(adjacentCells);
-        let numberOfAdjacentCells = Math.floor(Math.random() * adjacentCells.length) + 1;
-        adjacentCells = adjacentCells.slice(0, numberOfAdjacentCells);
-        let excludeCells = new Set([`${ initialRow },${ initialCol }`, ...adjacentCells.map(([row, col]) => `${ row },${ col }`)]);
+// Record a finished game, asking for the player name when the time enters the best times
+// Assisted games and games of an imported .txt or .mbf layout are not recorded
+function recordGame(board) {
+    let info = board.getGameInfo();
+    if (info.status.isAssisted || info.status.isImported) { return; }
 
-        let cellList = this.#buildCellsListWithoutMines(new Set(excludeCells));
-        Board.#shuffleArray(cellList);
+    withRecords((store) => {
+        let name = os.userInfo().username;
 
-        for (let i = 0; i < mines; i++) {
-            let [row, col] = cellList[i];
-            let cell = this.#_cells[row][col];
-            cell.state.isMine = true;
-            this.#_minesList.push([row, col]);
+        if (info.status.isGameWon && info.stats.hints === 0 && store.isBestTime(board, info.stats.gameTimeInSecond)) {
+            name = prompt(t("records.bestTime", name)).trim() || name;
         }
 
-        this.#calculateAdjacentMines();
-    }
+        let rank = store.recordGame(board, name);
+        if (rank !== null) { console.log(t("records.rank", rank, RecordsStore.labelOf(RecordsStore.keyOf(board)))); }
+    });
+}
 
-    // Calculate adjacent mines for each cell
-    #calculateAdjacentMines() {
-        for (let [row, col] of this.#_minesList) {
-            for (let [dirRow, dirCol] of Board.#_directions) {
-                let newRow = row + dirRow;
-                let newCol = col + dirCol;
+// Format a win rate as a percentage
+function formatRate(rate) { return `${ (rate * 100).toFixed(1) }%`; }
 
-                if (newRow < 0 || newRow >= this.#_rows) { continue;}
-                if (newCol < 0 || newCol >= this.#_cols) { continue; }
+// Show the records of every difficulty, with an option to reset them
+function showStatistics() {
+    console.clear();
+    let records = withRecords((store) => store.getRecords()) ?? [];
 
-                let cell = this.#_cells[newRow][newCol];
-                if (cell.state.isMine) { continue; }
-                cell.state.adjacentMines++;
-            }
-        }
+    if (records.length === 0) {
+        console.log(t("statistics.empty") + "\n");
+        prompt(t("prompt.continue"));
+        return;
     }
 
-    // Open a cell
-    openCell(row, col) {
-        if (this.#_isGameOver || this.#_isGameWon) { return; }
-        if (row < 0 || row >= this.#_rows || col < 0 || col >= this.#_cols) {
-            throw new RangeError(`Invalid cell position: row: ${ row }, col: ${ col }`);
-        }
-
-        let cell = this.#_cells[row][col];
-        if (cell.state.isOpened) { return; }
+    for (let record of records) {
+        console.log(RecordsStore.labelOf(record.key));
+        console.log(`  ${ t("statistics.games", record.played, record.won, formatRate(record.winRate)) }`);
+        console.log(`  ${ t("statistics.streaks", record.currentStreak, record.longestStreak) }`);
 
-        if (cell.state.isMine) {
-            this.#_isGameOver = true;
-            this.#_endTime = new Date();
-            this.#openAllMines();
-            return;
-        }
-
-        cell.state.isOpened = true;
-        this.#_openedCells++;
-
-        if (cell.state.adjacentMines === 0) {
-            this.#openAdjacentCells(row, col);
-        }
-
-        if (this.#_openedCells === (this.#_rows * this.#_cols) - this.#_mines) {
-            this.#_isGameWon = true;
-        }
+        record.bestTimes.forEach(({ name, time, date }, index) => {
+            console.log(`  ${ `${ index + 1 }.`.padEnd(4, " ") }${ name.padEnd(16, " ") }${ t("statistics.seconds", time).padEnd(14, " ") }${ date.slice(0, 10) }`);
+        });
+        console.log("");
     }
 
-    // Open adjacent cells
-    #openAdjacentCells(row, col) {
-        if (row < 0 || row >= this.#_rows) { return; }
-        if (col < 0 || col >= this.#_cols) { return; }
-
-        for (let [dirRow, dirCol] of Board.#_directions) {
-            let newRow = row + dirRow;
-            let newCol = col + dirCol;
-
-            if (newRow < 0 || newRow >= this.#_rows) { continue; }
-            if (newCol < 0 || newCol >= this.#_cols) { continue; }
-
-            let cell = this.#_cells[newRow][newCol];
-            if (cell.state.isOpened || cell.state.isFlagged) { continue; }
-            if (cell.state.isMine) { continue; }
-
-            this.openCell(newRow, newCol);
-        }
+    if (prompt(t("statistics.reset")).trim().toLowerCase() === t("answer.reset") && isYes(prompt(t("statistics.resetConfirm")))) {
+        withRecords((store) => store.reset());
     }
+}
 
-    // Toggle flag on a cell
-    toggleFlag(row, col) {
-        if (row < 0 || row >= this.#_rows || col < 0 || col >= this.#_cols) {
-            throw new RangeError(`Invalid cell position: row: ${ row }, col: ${ col }`);
-        }
-
-        if (this.#_isGameOver || this.#_isGameWon) { return; }
-
-        let cell = this.#_cells[row][col];
-        if (cell.state.isOpened) { return; }
+// Return the game information as text for the "info" command
+function formatGameInfo(board) {
+    let info = board.getGameInfo();
+    let lines = [
+        t("info.difficultySize", Difficulty.label(info.difficulty), board.rows, board.cols, board.mines),
+        t("info.seed", info.seed ?? t("info.seedPending")),
+        t("info.time", formatTime(info.stats.gameTimeInMillisecond)),
+        t("info.cells", info.stats.openedCells, info.stats.flags, info.stats.remainingMines),
+        t("info.moves", info.stats.moves, info.stats.hints, info.stats.undos),
+        t("info.clicks", formatClicks(info.stats.clicks))
+    ];
+
+    if (info.stats.lives > 1) { lines.push(t("info.lives", formatLives(info.stats))); }
+    return lines.join("\n");
+}
 
-        cell.state.isFlagged = !cell.state.isFlagged;
-        this.#_flags += cell.state.isFlagged ? 1 : -1;
+// Return the difficulty of a "new" command, throws a RangeError for an invalid custom board
+function commandDifficulty({ difficulty, rows, cols, mines }) {
+    switch (difficulty) {
+        case "beginner":
+            return Difficulty.BEGINNER;
+        case "intermediate":
+            return Difficulty.INTERMEDIATE;
+        case "expert":
+            return Difficulty.EXPERT;
+        default:
+            return Difficulty.custom(rows, cols, mines);
     }
+}
 
-    // Open all mines
-    #openAllMines() {
-        this.#_minesList.forEach(([row, col]) => this.#_cells[row][col].state.isOpened = true);
+// Run a cell command, the game starts when the first cell is opened
+function runCellCommand(board, { name, row, col }) {
+    if (row >= board.rows || col >= board.cols) {
+        return t("game.outside", row + 1, col + 1, board.rows, board.cols);
     }
 
-    // Get game status
-    #getGameStatus = () => ({
-        isGameOver: this.#_isGameOver,
-        isGameWon:  this.#_isGameWon
-    });
+    if (!board.getGameInfo().status.isGameStarted) {
+        if (name !== "open") { return t("game.openToStart"); }
+        board.startGame(row, col);
+    }
 
-    // Get game board
-    getGameBoard() {
-        let board = [];
+    let livesUsed = board.getGameInfo().stats.livesUsed;
+
+    switch (name) {
+        case "open":
+            board.openCell(row, col);
+            break;
+        case "flag":
+            board.toggleFlag(row, col);
+            break;
+        case "chord":
+            board.chordCell(row, col);
+            break;
+    }
 
-        for (let row = 0; row < this.#_rows; row++) {
-            board[row] = [];
+    let info = board.getGameInfo();
+    if (info.stats.livesUsed > livesUsed && !info.status.isGameOver) {
+        return t("game.boom", formatLives(info.stats));
+    }
+    return "";
+}
 
-            for (let col = 0; col < this.#_cols; col++) {
-                board[row][col] = this.#_cells[row][col].state;
+// Run a parsed command and return { message, highlight, board, quit }, board is set when the game is replaced
+function runCommand(board, command) {
+    switch (command.name) {
+        case "open":
+        case "flag":
+        case "chord":
+            return { message: runCellCommand(board, command) };
+        case "hint": {
+            let [message, highlight] = showHint(board);
+            return { message: message, highlight: highlight };
+        }
+        case "undo":
+            if (!board.practice) { return { message: t("game.undoUnavailable") }; }
+            return { message: board.undo() ? t("game.undone") : t("game.nothingToUndo") };
+        case "new":
+            try {
+                let difficulty = commandDifficulty(command);
+                let options = {
+                    practice: board.practice, noGuess: board.noGuess, topology: board.topology, firstClick: board.firstClick,
+                    lives: board.lives
+                };
+                return { message: t("game.newGame"), board: new Board(difficulty, options) };
+            } catch (error) {
+                if (!(error instanceof RangeError)) { throw error; }
+                return { message: `${ error.message }.` };
             }
+        case "save":
+            return { message: saveGameToFile(board, command.file ?? SAVE_FILE) };
+        case "load": {
+            let file = command.file ?? SAVE_FILE;
+            let loaded = loadGameFromFile(file);
+            return loaded.error ? { message: loaded.error } : { message: t("file.loaded", file), board: loaded.board };
         }
-        return board;
-    }
-
-    // Get game time in seconds
-    #gameTimeInSecond() {
-        if (this.#_startTime === null) { return 0; }
-
-        let endTime = this.#_endTime === null ? new Date() : this.#_endTime;
-        return Math.floor((endTime.getTime() - this.#_startTime.getTime()) / 1000);
+        case "info":
+            return { message: formatGameInfo(board) };
+        case "help":
+            return { message: formatHelp() };
+        case "quit":
+            return { quit: true };
     }
+}
 
-    #getRemainingMines() { return this.#_mines - this.#_flags; }
+// Check if the game is won or lost
+function isFinished(board) {
+    let { status } = board.getGameInfo();
+    return status.isGameWon || status.isGameOver;
+}
 
-    // Get game stats
-    #getGameStats = () => ({
-        flags:            this.#_flags,
-        openedCells:      this.#_openedCells,
-        remainingMines:   this.#getRemainingMines(),
-        gameTimeInSecond: this.#gameTimeInSecond()
-    });
+// Play a game with one line of commands per turn until it is won, lost or left
+// Return the board, which is replaced by "new" and "load", whether the game finished in this session and whether it was left
+function playWithPrompts(board) {
+    let wasFinished = isFinished(board);
+    let message = t("game.commandsHelp");
+    let highlight = null;
 
-    // Get game info
-    getGameInfo = () => ({
-        difficulty: this.#_difficulty,
-        status:     this.#getGameStatus(),
-        stats:      this.#getGameStats(),
-        board:      this.getGameBoard()
-    });
+    while (!isFinished(board)) {
+        console.clear();
+        printGameInfo(board);
+        console.log("\n\n" + board.toString(highlight) + "\n");
+        if (message !== "") { console.log(message + "\n"); }
+        highlight = null;
+
+        let line = commandPrompt("> ");
+        if (line === null) { return { board: board, finished: false, quit: true }; }
+
+        let commands;
+        try {
+            commands = parseCommands(line);
+        } catch (error) {
+            if (!(error instanceof CommandError)) { throw error; }
+            message = error.message;
+            continue;
+        }
 
-    // numbers for opened cells with adjacent mines - blue
-    toString() {
-        let board = this.getGameBoard();
-        let rows = board.length;
-        let cols = board[0].length;
-        let stringArray = [];
+        let messages = [];
+        for (let command of commands) {
+            let result = runCommand(board, command);
+            if (result.quit) { return { board: board, finished: false, quit: true }; }
 
-        stringArray.push(Board.#getColumnIndices(cols));
-        stringArray.push(Board.#getRowLine(cols));
+            if (result.board !== undefined) {
+                board = result.board;
+                wasFinished = isFinished(board);
+            }
+            if (result.message) { messages.push(result.message); }
+            highlight = result.highlight ?? highlight;
 
-        for (let row = 0; row < rows; row++) {
-            let line = `${ row + 1 }`.padEnd(3, " ");
+            if (isFinished(board)) { break; }
+        }
+        message = messages.join("\n");
 
-            for (let col = 0; col < cols; col++) {
-                line += ` ${ board[row][col].currentState }`;
+        // Practice mode can take back the move that opened a mine
+        if (board.getGameInfo().status.isGameOver && board.practice && !wasFinished) {
+            console.clear();
+            printGameInfo(board);
+            console.log("\n\n" + board.toString() + "\n");
 
-                if (col < cols - 1) { line += "  | "; }
+            if (isYes(prompt(t("game.undoMine")))) {
+                board.undo();
+                message = t("game.undone");
             }
-            stringArray.push(line);
-            if (row < rows - 1) { stringArray.push(Board.#getRowLine(cols));}
         }
-        return stringArray.join("\n");
     }
 
-    // Print game info
-    printGameInfo() {
-        let info = this.getGameInfo();
-        console.log("Difficulty:", info.difficulty);
-        console.log("Game Status:",
-                    info.status.isGameOver ? "Game Over" : (info.status.isGameWon ? "Game Won" : "In Progress"));
-
-        console.log("Game Time:", info.stats.gameTimeInSecond, "seconds");
-        console.log("Opened Cells:", info.stats.openedCells);
-        console.log("Remaining Mines:", info.stats.remainingMines);
-        console.log("Flags:", info.stats.flags);
-    }
+    return { board: board, finished: !wasFinished, quit: false };
 }
 
 // Start the Minesweeper game
-function start() {
+// The keyboard interface is used when stdin is a terminal, unless the --prompt option is given
+// The board is drawn with the theme of the --theme option (ansi, ascii or emoji), colours need a terminal and no NO_COLOR
+// The --json option plays through the line-delimited JSON protocol of minesweeper/protocol.js instead
+// The game text is in the language of the --lang option (e.g. --lang fr) or of the LANG environment variable, English by default
+async function start() {
+    let useKeyboard = process.stdin.isTTY === true && !process.argv.includes("--prompt");
+
+    // Scripted clients get a beginner game without menus or prompts, and their games are not recorded
+    // The protocol messages stay in English, so clients can rely on them whatever the locale
+    if (process.argv.includes("--json")) {
+        await playWithJson(new Board(Difficulty.BEGINNER), { save: writeGameFile, load: readGameFile, defaultFile: SAVE_FILE });
+        return;
+    }
+
+    Messages.current = new Messages(selectLocale(process.argv, process.env));
+
+    try {
+        Board.renderer = createRenderer(selectTheme(process.argv, process.env, process.stdout));
+    } catch (error) {
+        console.error(error.message);
+        process.exitCode = 1;
+        return;
+    }
 
     while (true) {
         let exit = false;
         let board = null;
+        let dailyBoard = null;
+        let daily = null;
 
         console.clear();
         while (!exit) {
-            console.log("Welcome to Minesweeper Game\n");
-            console.log("Choose a difficulty level:");
-            console.log("1. Beginner");
-            console.log("2. Intermediate");
-            console.log("3. Expert");
-            console.log("4. Exit");
-
-            let choice = parseInt(prompt("Enter your choice: "), 10);
+            console.log(t("menu.welcome") + "\n");
+            console.log(t("menu.chooseDifficulty"));
+            console.log(`1. ${ Difficulty.label(Difficulty.BEGINNER.name) }`);
+            console.log(`2. ${ Difficulty.label(Difficulty.INTERMEDIATE.name) }`);
+            console.log(`3. ${ Difficulty.label(Difficulty.EXPERT.name) }`);
+            console.log(`4. ${ Difficulty.label("Custom") }`);
+            console.log(`5. ${ t("menu.daily") }`);
+            console.log(`6. ${ t("menu.load") }`);
+            console.log(`7. ${ t("menu.statistics") }`);
+            console.log(`8. ${ t("menu.exit") }`);
+
+            let choice = parseInt(prompt(t("menu.choice")), 10);
 
             switch (choice) {
                 case 1:
-                    board = new Board(Difficulty.BEGINNER);
+                    board = new Board(Difficulty.BEGINNER, promptBoardOptions());
                     exit = true;
                     break;
                 case 2:
-                    board = new Board(Difficulty.INTERMEDIATE);
+                    board = new Board(Difficulty.INTERMEDIATE, promptBoardOptions());
                     exit = true;
                     break;
                 case 3:
-                    board = new Board(Difficulty.EXPERT);
+                    board = new Board(Difficulty.EXPERT, promptBoardOptions());
                     exit = true;
                     break;
                 case 4:
-                    console.log("\nExiting Minesweeper Game...");
+                    board = new Board(promptCustomDifficulty(), promptBoardOptions());
+                    exit = true;
+                    break;
+                case 5:
+                    daily = new DailyChallenge();
+                    board = dailyBoard = daily.createBoard();
+                    exit = true;
+                    break;
+                case 6: {
+                    let loaded = loadGame();
+                    console.clear();
+
+                    if (loaded.error) {
+                        console.log(`${ loaded.error }\n`);
+                    } else {
+                        board = loaded.board;
+                        exit = true;
+                    }
+                    break;
+                }
+                case 7:
+                    showStatistics();
+                    console.clear();
+                    break;
+                case 8:
+                    console.log("\n" + t("menu.exiting"));
                     return;
                 default:
                     console.clear();
-                    console.log("Invalid choice. Please try again.\n");
+                    console.log(t("menu.invalidChoice") + "\n");
             }
         }
 
         console.clear();
-        let gameInfo = board.getGameInfo();
-        let gameWon = gameInfo.status.isGameWon;
-        let gameOver = gameInfo.status.isGameOver;
-        let firstMove = true;
-
-        while (!gameWon && !gameOver) {
-            console.clear();
-            board.printGameInfo();
-            console.log("\n\n" + board.toString() + "\n");
 
-            let row = parseInt(prompt("Enter row number: ")) - 1;
-            let col = parseInt(prompt("Enter column number: ")) - 1;
-            let action = parseInt(prompt("Enter action (1: Open, 2: Flag): "));
+        // The cursor driven keyboard interface needs a terminal, the prompts work everywhere
+        let result = useKeyboard ? await playWithKeyboard(board, { save: (game) => saveGameToFile(game, SAVE_FILE) }) : playWithPrompts(board);
+        if (result.quit) { continue; }
 
-            if (row < 0 || row >= board.rows || col < 0 || col >= board.cols) {
-                console.log("Invalid cell position. Please try again.");
-                continue;
-            }
+        board = result.board;
+        let gameWon = board.getGameInfo().status.isGameWon;
 
-            if (firstMove) {
-                board.startGame(row, col);
-                firstMove = false;
-            }
+        console.clear();
+        printGameInfo(board);
+        console.log("\n\n" + board.toString());
+        console.log("\n");
+        console.log(gameWon ? t("end.won") : t("end.lost"));
+        if (result.finished) { recordGame(board); }
 
-            if (action === 1) {
-                board.openCell(row, col);
-            } else if (action === 2) {
-                board.toggleFlag(row, col);
-            } else {
-                console.log("Invalid action. Please try again.");
-            }
+        // The share text only describes the daily board, not a game started or loaded from it
+        if (result.finished && board === dailyBoard) {
+            console.log(`\n${ t("end.share") }\n\n${ daily.shareText(board) }\n`);
+        }
 
-            let gameInfo = board.getGameInfo();
-            gameWon = gameInfo.status.isGameWon;
-            gameOver = gameInfo.status.isGameOver;
+        if (board.getMoveHistory().length > 0 && isYes(prompt(t("end.replay")))) {
+            showReplay(board);
         }
 
-        console.clear();
-        board.printGameInfo();
-        console.log("\n\n" + board.toString());
-        console.log("\n");
-        console.log(gameWon ? "Congratulations! You won the game." : "Game Over! You lost the game.");
-        let playAgain = prompt("Do you want to play again? (Y/N): ");
-        if (playAgain.toLowerCase() !== "y") {
-            console.log("\nExiting Minesweeper Game...");
+        if (!isYes(prompt(t("end.playAgain")))) {
+            console.log("\n" + t("menu.exiting"));
             return;
         }
     }
 }
 
-// Start the Minesweeper game
 start();
\ No newline at end of file
@@ -0,0 +1,53 @@
+// Large board benchmark for the Minesweeper game
+// Usage: node minesweeper/benchmark.js [rows] [cols] [mines]
+// Defaults to a 1000x1000 board with a few mines, so the first click opens almost the whole board
+
+const { Board, Difficulty } = require("./engine");
+
+// A step slower than this is reported as a pause
+const MAX_STEP_TIME = 2000;
+
+// Run a benchmark step and return its time in milliseconds
+function measure(name, step, results) {
+    let startTime = process.hrtime.bigint();
+    step();
+    let time = Number(process.hrtime.bigint() - startTime) / 1e6;
+
+    results.push({ step: name, time: time, heapUsed: process.memoryUsage().heapUsed });
+}
+
+function runBenchmark(rows, cols, mines) {
+    let difficulty = Difficulty.custom(rows, cols, mines);
+    let initialRow = Math.floor(rows / 2);
+    let initialCol = Math.floor(cols / 2);
+    let results = [];
+    let board = null;
+    let info = null;
+
+    measure("Create board", () => board = new Board(difficulty, { seed: "benchmark" }), results);
+    measure("Start game", () => board.startGame(initialRow, initialCol), results);
+    measure("Open first cell", () => board.openCell(initialRow, initialCol), results);
+    measure("Game info x100", () => { for (let i = 0; i < 100; i++) { info = board.getGameInfo(); } }, results);
+
+    return { results: results, info: info };
+}
+
+function main() {
+    let [rows = 1000, cols = 1000, mines = 10] = process.argv.slice(2).map((value) => parseInt(value, 10));
+    let { results, info } = runBenchmark(rows, cols, mines);
+
+    console.log(`Board: ${ rows }x${ cols }, ${ mines } mines\n`);
+    for (let { step, time, heapUsed } of results) {
+        let warning = time > MAX_STEP_TIME ? "  <- slow" : "";
+        console.log(`${ step.padEnd(18, " ") }${ time.toFixed(1).padStart(10, " ") } ms` +
+                    `${ (heapUsed / 1048576).toFixed(0).padStart(8, " ") } MB heap${ warning }`);
+    }
+
+    console.log("\nOpened Cells:", info.stats.openedCells);
+    console.log("Remaining Mines:", info.stats.remainingMines);
+    console.log("Game Status:", info.status.isGameOver ? "Game Over" : (info.status.isGameWon ? "Game Won" : "In Progress"));
+
+    if (results.some(({ time }) => time > MAX_STEP_TIME)) { process.exitCode = 1; }
+}
+
+main();
@@ -0,0 +1,288 @@
+// Headless bot runner: plays many games with pluggable strategies and reports how often they win
+// Usage: node minesweeper/bot.js [--games N] [--strategy random|logic|all] [--difficulty beginner|intermediate|expert|all]
+//                                [--seed S] [--json]
+//
+// A strategy only sees the player-visible board. The runner counts a guess for every opened cell, after the first,
+// that the solver could not prove safe, so all strategies are measured the same way.
+// The opening rate is the share of games whose first click opened an area of cells, a measure of the first-click exclusion
+
+const { Random, Difficulty, Solver, Board } = require("./engine");
+
+const DEFAULT_GAMES = 1000;
+
+const DIFFICULTIES = {
+    beginner:     Difficulty.BEGINNER,
+    intermediate: Difficulty.INTERMEDIATE,
+    expert:       Difficulty.EXPERT
+};
+
+// Strategy base class, a strategy chooses one move at a time from what the player can see
+// view: { rows, cols, mines, remainingMines, topology, isGameStarted, board } where board is Board.getPlayerBoard()
+// A move is { action: "open" | "flag" | "chord", row, col }, the first move must open a cell
+class Strategy {
+    #_name;
+    #_random;
+
+    constructor(name, seed = null) {
+        this.#_name = name;
+        this.#_random = new Random(seed ?? Random.randomSeed());
+    }
+
+    get name() { return this.#_name; }
+
+    get random() { return this.#_random; }
+
+    // Called before the first move of every game
+    startGame(view) {}
+
+    nextMove(view) {
+        throw new Error(`${ this.constructor.name } must implement nextMove`);
+    }
+
+    // Return the positions of the unopened cells that are not flagged
+    static unknownCells(view) {
+        let cells = [];
+
+        view.board.forEach((cellsRow, row) => cellsRow.forEach((cell, col) => {
+            if (cell === "unopened") { cells.push([row, col]); }
+        }));
+        return cells;
+    }
+}
+
+// Open unopened cells at random
+class RandomStrategy extends Strategy {
+    constructor(seed = null) {
+        super("random", seed);
+    }
+
+    nextMove(view) {
+        let cells = Strategy.unknownCells(view);
+        let [row, col] = cells[this.random.nextInt(cells.length)];
+        return { action: "open", row: row, col: col };
+    }
+}
+
+// Start in the centre, open the cells the solver proves safe and guess at random among the other cells
+// Proven mines are never opened, and are not flagged since flags do not help to win
+class LogicStrategy extends Strategy {
+    #_safe;
+
+    constructor(seed = null) {
+        super("logic", seed);
+        this.#_safe = [];
+    }
+
+    startGame(view) {
+        this.#_safe = [];
+    }
+
+    nextMove(view) {
+        if (!view.isGameStarted) {
+            return { action: "open", row: Math.floor(view.rows / 2), col: Math.floor(view.cols / 2) };
+        }
+
+        // Proven safe cells stay safe, the solver only runs again when all of them are opened
+        this.#_safe = this.#_safe.filter(([row, col]) => view.board[row][col] === "unopened");
+        let mines = [];
+
+        if (this.#_safe.length === 0) {
+            ({ safe: this.#_safe, mines } = LogicStrategy.solve(view));
+        }
+        if (this.#_safe.length > 0) {
+            let [row, col] = this.#_safe.pop();
+            return { action: "open", row: row, col: col };
+        }
+
+        let isMine = new Set(mines.map(([row, col]) => row * view.cols + col));
+        let cells = Strategy.unknownCells(view).filter(([row, col]) => !isMine.has(row * view.cols + col));
+        let [row, col] = cells[this.random.nextInt(cells.length)];
+        return { action: "open", row: row, col: col };
+    }
+
+    // Solve a player view, the solver reads only which cells are opened and their numbers
+    static solve(view) {
+        let board = view.board.map((cellsRow) => cellsRow.map((cell) => ({
+            isOpened:      typeof cell === "number",
+            adjacentMines: typeof cell === "number" ? cell : 0
+        })));
+        return new Solver(board, view.mines, view.topology).solve();
+    }
+}
+
+const STRATEGIES = {
+    random: RandomStrategy,
+    logic:  LogicStrategy
+};
+
+function getView(board) {
+    let { status, stats } = board.getGameInfo();
+
+    return {
+        rows:           board.rows,
+        cols:           board.cols,
+        mines:          board.mines,
+        remainingMines: stats.remainingMines,
+        topology:       board.topology,
+        isGameStarted:  status.isGameStarted,
+        board:          board.getPlayerBoard()
+    };
+}
+
+// Play one game to its end and return its result
+function playGame(board, strategy) {
+    let maxMoves = board.rows * board.cols * 2;
+    let startTime = performance.now();
+    let guesses = 0;
+    let opening = false;
+    let proven = new Set();
+    let view = getView(board);
+
+    strategy.startGame(view);
+
+    for (let move = 0; move < maxMoves; move++) {
+        let { action, row, col } = strategy.nextMove(view);
+
+        if (!view.isGameStarted) {
+            if (action !== "open") { throw new RangeError(`${ strategy.name }: the first move must open a cell`); }
+            board.startGame(row, col);
+            board.openCell(row, col);
+            opening = board.getGameInfo().stats.openedCells > 1;
+        } else if (action === "open") {
+            // A cell not proven safe by the solver is a guess, proven cells are kept as they stay safe
+            if (!proven.has(row * board.cols + col) && view.board[row]?.[col] === "unopened") {
+                LogicStrategy.solve(view).safe.forEach(([safeRow, safeCol]) => proven.add(safeRow * board.cols + safeCol));
+                if (!proven.has(row * board.cols + col)) { guesses++; }
+            }
+            board.openCell(row, col);
+        } else if (action === "flag") {
+            board.toggleFlag(row, col);
+        } else if (action === "chord") {
+            board.chordCell(row, col);
+        } else {
+            throw new RangeError(`${ strategy.name }: unknown action ${ action }`);
+        }
+
+        let { status, stats } = board.getGameInfo();
+        if (status.isGameOver || status.isGameWon) {
+            return { won: status.isGameWon, time: performance.now() - startTime, moves: stats.moves, guesses: guesses, opening: opening };
+        }
+        view = getView(board);
+    }
+    throw new RangeError(`${ strategy.name }: the game did not end after ${ maxMoves } moves`);
+}
+
+// Play a number of games for every strategy and difficulty, boards use the seeds "<seed>-<difficulty>-<game>"
+// so every strategy plays the same layouts when it opens the same first cell
+// strategies: list of Strategy objects, difficulties: list of Difficulty objects
+function runBots({ strategies, difficulties, games = DEFAULT_GAMES, seed = "bot" }) {
+    let results = [];
+
+    for (let strategy of strategies) {
+        for (let difficulty of difficulties) {
+            let totals = { wins: 0, time: 0, moves: 0, guesses: 0, openings: 0 };
+
+            for (let game = 0; game < games; game++) {
+                let board = new Board(difficulty, { seed: `${ seed }-${ difficulty.name }-${ game }` });
+                let { won, time, moves, guesses, opening } = playGame(board, strategy);
+
+                totals.wins += won ? 1 : 0;
+                totals.time += time;
+                totals.moves += moves;
+                totals.guesses += guesses;
+                totals.openings += opening ? 1 : 0;
+            }
+
+            results.push({
+                strategy:       strategy.name,
+                difficulty:     difficulty.name,
+                games:          games,
+                wins:           totals.wins,
+                winRate:        totals.wins / games,
+                averageTime:    totals.time / games,
+                averageMoves:   totals.moves / games,
+                averageGuesses: totals.guesses / games,
+                openingRate:    totals.openings / games
+            });
+        }
+    }
+    return results;
+}
+
+// Return the results as a text table, times are in milliseconds
+function formatTable(results) {
+    let header = ["Strategy", "Difficulty", "Games", "Win rate", "Avg time", "Avg moves", "Avg guesses", "Openings"];
+    let rows = results.map((result) => [
+        result.strategy,
+        result.difficulty,
+        `${ result.games }`,
+        `${ (result.winRate * 100).toFixed(1) }%`,
+        `${ result.averageTime.toFixed(2) } ms`,
+        result.averageMoves.toFixed(1),
+        result.averageGuesses.toFixed(2),
+        `${ (result.openingRate * 100).toFixed(1) }%`
+    ]);
+    let widths = header.map((title, index) => Math.max(title.length, ...rows.map((row) => row[index].length)));
+    let format = (row) => row.map((value, index) => index < 2 ? value.padEnd(widths[index]) : value.padStart(widths[index]));
+
+    return [format(header), widths.map((width) => "-".repeat(width)), ...rows.map(format)]
+        .map((row) => row.join("  "))
+        .join("\n");
+}
+
+// Parse the command line options, an unknown option or value throws a RangeError
+function parseOptions(args) {
+    let options = { games: DEFAULT_GAMES, strategy: "all", difficulty: "all", seed: "bot", json: false };
+
+    for (let index = 0; index < args.length; index++) {
+        let arg = args[index];
+
+        if (arg === "--json") {
+            options.json = true;
+            continue;
+        }
+
+        let name = arg.slice(2);
+        if (!arg.startsWith("--") || !["games", "strategy", "difficulty", "seed"].includes(name)) {
+            throw new RangeError(`Unknown option: ${ arg }`);
+        }
+        if (index + 1 >= args.length) { throw new RangeError(`Missing value for ${ arg }`); }
+        options[name] = args[++index];
+    }
+
+    options.games = Number(options.games);
+    if (!Number.isInteger(options.games) || options.games < 1) { throw new RangeError("The number of games must be 1 or more"); }
+
+    let pick = (table, value, kind) => {
+        if (value === "all") { return Object.keys(table); }
+        if (table[value] === undefined) { throw new RangeError(`Unknown ${ kind }: ${ value }`); }
+        return [value];
+    };
+    options.strategies = pick(STRATEGIES, options.strategy, "strategy").map((name) => new STRATEGIES[name](options.seed));
+    options.difficulties = pick(DIFFICULTIES, options.difficulty, "difficulty").map((name) => DIFFICULTIES[name]);
+    return options;
+}
+
+function main() {
+    let options;
+
+    try {
+        options = parseOptions(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        process.exitCode = 1;
+        return;
+    }
+
+    let results = runBots(options);
+
+    if (options.json) {
+        console.log(JSON.stringify({ games: options.games, seed: options.seed, results: results }, null, 2));
+    } else {
+        console.log(formatTable(results));
+    }
+}
+
+if (require.main === module) { main(); }
+
+module.exports = { Strategy, RandomStrategy, LogicStrategy, STRATEGIES, playGame, runBots, formatTable };
@@ -0,0 +1,211 @@
+// Command language of the Minesweeper prompt
+// One line is read per turn, several commands can be separated by ";", e.g. "o 3 5; f 2 4"
+// Rows and columns are entered from 1 as they are shown on the board, parsed commands use indices from 0
+
+const { t } = require("./i18n");
+
+// Error for a line that cannot be parsed, the message tells the player what to fix
+class CommandError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = "CommandError";
+    }
+}
+
+// Arguments: "cell" is a row and a column, "difficulty" a level name, "file" an optional file name
+// The description of a command is the message "command.<name>", see describeCommand
+const COMMANDS = [
+    { name: "open", aliases: ["o"], args: "cell", usage: "o <row> <column>" },
+    { name: "flag", aliases: ["f"], args: "cell", usage: "f <row> <column>" },
+    { name: "chord", aliases: ["c"], args: "cell", usage: "c <row> <column>" },
+    { name: "hint", aliases: [], args: "none", usage: "hint" },
+    { name: "undo", aliases: ["u"], args: "none", usage: "undo" },
+    { name: "new", aliases: ["n"], args: "difficulty", usage: "new <beginner|intermediate|expert|custom R C M>" },
+    { name: "save", aliases: [], args: "file", usage: "save [file]" },
+    { name: "load", aliases: [], args: "file", usage: "load [file]" },
+    { name: "info", aliases: ["i"], args: "none", usage: "info" },
+    { name: "help", aliases: ["h", "?"], args: "none", usage: "help" },
+    { name: "quit", aliases: ["q", "exit"], args: "none", usage: "quit" }
+];
+
+const DIFFICULTIES = {
+    beginner:     "beginner",
+    b:            "beginner",
+    intermediate: "intermediate",
+    i:            "intermediate",
+    expert:       "expert",
+    e:            "expert",
+    custom:       "custom"
+};
+
+// Parse a line into a list of commands, an empty line gives an empty list
+// Throw a CommandError describing the first invalid command
+function parseCommands(line) {
+    let segments = line.split(";").map((segment) => segment.trim());
+    let commands = [];
+
+    segments.forEach((segment, index) => {
+        if (segment === "") { return; }
+
+        try {
+            commands.push(parseCommand(segment));
+        } catch (error) {
+            if (!(error instanceof CommandError) || segments.length === 1) { throw error; }
+            throw new CommandError(t("command.inSequence", index + 1, segment, error.message));
+        }
+    });
+    return commands;
+}
+
+// Parse a single command
+function parseCommand(text) {
+    let [word, ...args] = text.split(/\s+/);
+    let command = findCommand(word.toLowerCase());
+
+    if (command === undefined) {
+        let suggestion = suggestCommand(word.toLowerCase());
+        let hint = suggestion === null ? t("command.helpHint") : t("command.suggestion", suggestion);
+        throw new CommandError(t("command.unknown", word, hint));
+    }
+
+    switch (command.args) {
+        case "cell":
+            return parseCell(command, args);
+        case "difficulty":
+            return parseDifficulty(command, args);
+        case "file":
+            return { name: command.name, file: args.length === 0 ? null : text.slice(word.length).trim() };
+        default:
+            if (args.length > 0) { throw new CommandError(t("command.noArguments", command.name, args.join(" "))); }
+            return { name: command.name };
+    }
+}
+
+function findCommand(word) {
+    return COMMANDS.find(({ name, aliases }) => name === word || aliases.includes(word));
+}
+
+function parseCell(command, args) {
+    if (args.length !== 2) {
+        let key = args.length === 1 ? "command.cellArgument" : "command.cellArguments";
+        throw new CommandError(t(key, command.name, command.aliases[0], args.length));
+    }
+
+    return {
+        name: command.name,
+        row:  parsePositiveNumber("command.row", args[0]) - 1,
+        col:  parsePositiveNumber("command.column", args[1]) - 1
+    };
+}
+
+function parseDifficulty(command, args) {
+    let difficulty = DIFFICULTIES[(args[0] ?? "").toLowerCase()];
+
+    if (difficulty === undefined) {
+        let got = args.length === 0 ? t("command.nothing") : `"${ args[0] }"`;
+        throw new CommandError(t("command.noDifficulty", got));
+    }
+
+    if (difficulty !== "custom") {
+        if (args.length > 1) { throw new CommandError(t("command.difficultyArguments", difficulty)); }
+        return { name: command.name, difficulty: difficulty };
+    }
+
+    if (args.length !== 4) {
+        throw new CommandError(t("command.customArguments"));
+    }
+
+    return {
+        name:       command.name,
+        difficulty: difficulty,
+        rows:       parsePositiveNumber("difficulty.rows", args[1]),
+        cols:       parsePositiveNumber("difficulty.cols", args[2]),
+        mines:      parsePositiveNumber("difficulty.mines", args[3])
+    };
+}
+
+// nameKey: message key of the name of the number
+function parsePositiveNumber(nameKey, text) {
+    if (!/^\d+$/.test(text)) { throw new CommandError(t("command.wholeNumber", t(nameKey), text)); }
+
+    let value = parseInt(text, 10);
+    if (value < 1) { throw new CommandError(t("command.atLeastOne", t(nameKey), value)); }
+    return value;
+}
+
+// Return the command name closest to a mistyped word, or null when none is close
+function suggestCommand(word) {
+    let best = null;
+    let bestDistance = 3;
+
+    for (let { name } of COMMANDS) {
+        let distance = editDistance(word, name);
+        if (distance < bestDistance) {
+            best = name;
+            bestDistance = distance;
+        }
+    }
+    return best;
+}
+
+// Levenshtein distance between two words
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+
+    for (let i = 1; i <= a.length; i++) {
+        let current = [i];
+
+        for (let j = 1; j <= b.length; j++) {
+            let cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+// Return the description of a command in the current locale
+function describeCommand({ name }) { return t(`command.${ name }`); }
+
+// Return the help text listing every command
+function formatHelp() {
+    let lines = COMMANDS.map((command) => {
+        let shortcuts = command.aliases.length === 0 ? "" : ` (${ command.aliases.join(", ") })`;
+        return `  ${ (command.usage + shortcuts).padEnd(52, " ") }${ describeCommand(command) }`;
+    });
+
+    return [t("help.title"), ...lines].join("\n");
+}
+
+// In-memory command history for the up and down arrows of prompt-sync
+class CommandHistory {
+    #_lines;
+    #_index;
+
+    constructor() {
+        this.#_lines = [];
+        this.#_index = 0;
+    }
+
+    atStart() { return this.#_index <= 0; }
+
+    atPenultimate() { return this.#_index === this.#_lines.length - 1; }
+
+    pastEnd() { return this.#_index >= this.#_lines.length; }
+
+    atEnd() { return this.pastEnd(); }
+
+    prev() { return this.#_lines[--this.#_index]; }
+
+    next() { return this.#_lines[++this.#_index]; }
+
+    reset() { this.#_index = this.#_lines.length; }
+
+    push(line) {
+        if (this.#_lines[this.#_lines.length - 1] !== line) { this.#_lines.push(line); }
+    }
+
+    save() {}
+}
+
+module.exports = { CommandError, CommandHistory, COMMANDS, parseCommands, describeCommand, formatHelp };
@@ -0,0 +1,114 @@
+// Daily challenge: everyone playing on the same calendar date gets the same board and the same start cell
+// The board is seeded from the date, so the layout only depends on the date, and the start cell is opened for the player
+// The share text sums up a finished game for a chat message without telling where the mines are
+
+const { Random, Difficulty, FirstClick, Board } = require("./engine");
+const { t } = require("./i18n");
+
+// Share grid symbols: every safe cell opened, some cells opened, no cell opened
+const SHARE_SYMBOLS = {
+    cleared: "\u{1F7E9}",
+    opened:  "\u{1F7E8}",
+    closed:  "\u{2B1C}"
+};
+
+class DailyChallenge {
+
+    // Difficulty of every daily board
+    static DIFFICULTY = Difficulty.INTERMEDIATE;
+
+    // Largest number of rows and columns of the share grid, blocks of cells are merged to fit
+    static SHARE_GRID_SIZE = 8;
+
+    #_date;
+    #_seed;
+    #_startRow;
+    #_startCol;
+
+    // date: day of the challenge, its local calendar date is used (today by default)
+    constructor(date = new Date()) {
+        this.#_date = DailyChallenge.formatDate(date);
+        this.#_seed = `daily-${ this.#_date }`;
+
+        let random = new Random(`${ this.#_seed }-start`);
+        this.#_startRow = random.nextInt(DailyChallenge.DIFFICULTY.rows);
+        this.#_startCol = random.nextInt(DailyChallenge.DIFFICULTY.cols);
+    }
+
+    // Date of the challenge as YYYY-MM-DD
+    get date() { return this.#_date; }
+
+    get seed() { return this.#_seed; }
+
+    // [row, col] of the start cell
+    get startCell() { return [this.#_startRow, this.#_startCol]; }
+
+    // Create the board of the challenge with its start cell opened
+    // The start cell and its adjacent cells are free of mines, so every player starts from the same opening
+    createBoard() {
+        let board = new Board(DailyChallenge.DIFFICULTY, { seed: this.#_seed, firstClick: FirstClick.OPENING });
+
+        board.startGame(this.#_startRow, this.#_startCol);
+        board.openCell(this.#_startRow, this.#_startCol);
+        return board;
+    }
+
+    // Return the share text of a daily board, usually a finished one: the date, difficulty, result, time and progress grid
+    shareText(board) {
+        let { difficulty, status, stats } = board.getGameInfo();
+        let safeCells = board.rows * board.cols - board.mines;
+        let cleared = t("daily.cleared", Math.floor(stats.openedCells / safeCells * 100));
+        let result = status.isGameWon ? t("daily.won") : (status.isGameOver ? t("daily.lost", cleared) : cleared);
+        let time = `${ (stats.gameTimeInMillisecond / 1000).toFixed(3) } s`;
+        let hints = stats.hints > 0 ? ` | ${ t(stats.hints === 1 ? "daily.hint" : "daily.hints", stats.hints) }` : "";
+
+        return [
+            t("daily.title", this.#_date),
+            `${ Difficulty.label(difficulty) } | ${ result } | ${ time }${ hints }`,
+            DailyChallenge.#shareGrid(board)
+        ].join("\n");
+    }
+
+    // Draw the progress with one symbol per block of cells
+    // A block tells only how much of it is opened, a block with no opened cell is closed even when it holds only mines
+    static #shareGrid(board) {
+        let blockRows = Math.ceil(board.rows / DailyChallenge.SHARE_GRID_SIZE);
+        let blockCols = Math.ceil(board.cols / DailyChallenge.SHARE_GRID_SIZE);
+        let gameBoard = board.getGameBoard();
+        let lines = [];
+
+        for (let top = 0; top < board.rows; top += blockRows) {
+            let line = "";
+
+            for (let left = 0; left < board.cols; left += blockCols) {
+                let opened = 0;
+                let closedSafe = 0;
+
+                for (let row = top; row < Math.min(top + blockRows, board.rows); row++) {
+                    for (let col = left; col < Math.min(left + blockCols, board.cols); col++) {
+                        let state = gameBoard[row][col];
+                        if (state.isOpened && !state.isMine) { opened++; }
+                        if (!state.isOpened && !state.isMine) { closedSafe++; }
+                    }
+                }
+
+                if (opened === 0) {
+                    line += SHARE_SYMBOLS.closed;
+                } else {
+                    line += closedSafe === 0 ? SHARE_SYMBOLS.cleared : SHARE_SYMBOLS.opened;
+                }
+            }
+            lines.push(line);
+        }
+        return lines.join("\n");
+    }
+
+    // Format the local calendar date of a Date as YYYY-MM-DD
+    static formatDate(date) {
+        let month = `${ date.getMonth() + 1 }`.padStart(2, "0");
+        let day = `${ date.getDate() }`.padStart(2, "0");
+        return `${ date.getFullYear() }-${ month }-${ day }`;
+    }
+}
+
+module.exports = { DailyChallenge };
@@ -0,0 +1,1657 @@
+// https://en.wikipedia.org/wiki/Minesweeper_(video_game)
+
+/*
+ Gameplay
+ Minesweeper is a puzzle video game.
+ In the game, mines (that resemble naval mines in the classic theme) are scattered throughout a board, which is divided into cells.
+ 1) Cells have three states: unopened, opened and flagged.
+ 2) An unopened cell is blank and clickable, while an opened cell is exposed.
+ 3) Flagged cells are those marked by the player to indicate a potential mine location.
+
+ A player selects a cell to open it.
+ If a player opens a mined cell, the game ends.
+ Otherwise, the opened cell displays either a number, indicating the number of mines diagonally and/or adjacent to it, or a blank tile (or "0"), and all adjacent non-mined cells will automatically be opened.
+ Players can also flag a cell, visualised by a flag being put on the location, to denote that they believe a mine to be in that place.
+ Flagged cells are still considered unopened, and a player can click on them to open them.
+ In some versions of the game when the number of adjacent mines is equal to the number of adjacent flagged cells, all adjacent non-flagged unopened cells will be opened, a process known as chording.
+ */
+
+/*
+ Objective and strategy
+ A game of Minesweeper begins when the player first selects a cell on a board.
+ In some variants the first click is guaranteed to be safe, and some further guarantee that all adjacent cells are safe as well.
+ During the game, the player uses information given from the opened cells to deduce further cells that are safe to open, iteratively gaining more information to solve the board.
+ The player is also given the number of remaining mines in the board, known as the mine count, which is calculated as the total number of mines subtracted by the number of flagged cells (thus the mine count can be negative if too many flags have been placed).
+
+ To win a game of Minesweeper, all non-mine cells must be opened without opening a mine.
+ There is no score, but there is a timer recording the time taken to finish the game.
+ Difficulty can be increased by adding mines or starting with a larger grid.
+ Most variants of Minesweeper that are not played on a fixed board offer three default board configurations, usually known as Beginner, Intermediate, and Expert, in order of increasing difficulty.
+ Beginner is usually on an 8x8 or 9x9 board containing 10 mines, Intermediate is usually on a 16x16 board with 40 mines and expert is usually on a 30x16 board with 99 mines; however, there is usually an option to customise board size and mine count.
+ */
+
+// Minesweeper game engine: the rules, board generation, solver, saved games and events
+// It does no input or output, so interfaces, bots and tools can all use it, see minesweeper.js for the command line game
+// The engine runs in Node and in a browser, where a script tag loads it after renderers.js and i18n.js (see web/index.html)
+// Error messages come from the message catalogs of minesweeper/i18n.js, in the current locale
+
+const renderers = typeof module === "object" ? require("./renderers") : globalThis.MinesweeperRenderers;
+const i18n = typeof module === "object" ? require("./i18n") : globalThis.MinesweeperI18n;
+
+// Seeded pseudo random number generator (mulberry32)
+// The same seed always produces the same sequence of numbers
+class Random {
+    #_seed;
+    #_state;
+
+    constructor(seed) {
+        this.#_seed = seed;
+        this.#_state = Random.#hash(`${ seed }`);
+    }
+
+    get seed() { return this.#_seed; }
+
+    // Return a random number in the range [0, 1)
+    next() {
+        this.#_state = (this.#_state + 0x6D2B79F5) | 0;
+
+        let t = this.#_state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    // Return a random integer in the range [0, max)
+    nextInt(max) { return Math.floor(this.next() * max); }
+
+    // Return a new random seed
+    static randomSeed() { return Math.floor(Math.random() * 4294967296); }
+
+    // Hash a string seed into a 32-bit integer (FNV-1a)
+    static #hash(text) {
+        let hash = 2166136261;
+
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 16777619);
+        }
+        return hash >>> 0;
+    }
+}
+
+// Game difficulty levels
+class Difficulty {
+    static #_BEGINNER = new Difficulty("Beginner", 8, 8, 10);
+    static #_INTERMEDIATE = new Difficulty("Intermediate", 16, 16, 40);
+    static #_EXPERT = new Difficulty("Expert", 30, 16, 99);
+
+    // Custom board limits
+    static MIN_ROWS = 5;
+    static MAX_ROWS = 1000;
+    static MIN_COLS = 5;
+    static MAX_COLS = 1000;
+    static MIN_MINES = 1;
+
+    // The first click keeps the initial cell and up to all 8 of its adjacent cells free of mines
+    static FIRST_CLICK_CELLS = 9;
+
+    #_name;
+    #_rows;
+    #_cols;
+    #_mines;
+
+    constructor(name, rows, cols, mines) {
+        this.#_name = name;
+        this.#_rows = rows;
+        this.#_cols = cols;
+        this.#_mines = mines;
+    }
+
+    static get BEGINNER() { return this.#_BEGINNER; }
+
+    static get INTERMEDIATE() { return this.#_INTERMEDIATE; }
+
+    static get EXPERT() { return this.#_EXPERT; }
+
+    // Create a custom difficulty level, the board must leave enough safe cells for the first click
+    static custom(rows, cols, mines) {
+        Difficulty.#validateRange("difficulty.rows", rows, Difficulty.MIN_ROWS, Difficulty.MAX_ROWS);
+        Difficulty.#validateRange("difficulty.cols", cols, Difficulty.MIN_COLS, Difficulty.MAX_COLS);
+        Difficulty.#validateRange("difficulty.mines", mines, Difficulty.MIN_MINES, Difficulty.maxMines(rows, cols));
+
+        return new Difficulty("Custom", rows, cols, mines);
+    }
+
+    // Return the maximum number of mines for a board size
+    static maxMines(rows, cols) { return rows * cols - Difficulty.FIRST_CLICK_CELLS; }
+
+    // Return a difficulty name, like "Beginner" or "Custom", in the current locale
+    static label(name) { return i18n.t(`difficulty.${ name.toLowerCase() }`); }
+
+    // nameKey: message key of the name of the value
+    static #validateRange(nameKey, value, min, max) {
+        if (!Number.isInteger(value) || value < min || value > max) {
+            throw new RangeError(i18n.t("difficulty.range", i18n.t(nameKey), min, max));
+        }
+    }
+
+    get name() { return this.#_name; }
+
+    get rows() { return this.#_rows; }
+
+    get cols() { return this.#_cols; }
+
+    get mines() { return this.#_mines; }
+}
+
+// Board topology, deciding which cells are adjacent to a cell
+// Square: the 8 surrounding cells, Torus: the same with the edges wrapping around to the opposite side,
+// Hex: 6 neighbours, every odd row is shifted right by half a cell
+class Topology {
+    static #_SQUARE = new Topology("square", [[[-1, -1], [-1, 0], [-1, 1], [0, -1], [0, 1], [1, -1], [1, 0], [1, 1]]]);
+    static #_TORUS = new Topology("torus", Topology.#_SQUARE.#_directions, { wraps: true });
+    static #_HEX = new Topology("hex", [[[-1, -1], [-1, 0], [0, -1], [0, 1], [1, -1], [1, 0]],
+                                        [[-1, 0], [-1, 1], [0, -1], [0, 1], [1, 0], [1, 1]]], { offsetRows: true });
+
+    #_name;
+    #_directions;
+    #_wraps;
+    #_offsetRows;
+
+    // directions: [row, col] offsets of the adjacent cells, one table per row parity when even and odd rows differ
+    // options.wraps: the edges of the board wrap around
+    // options.offsetRows: odd rows are shifted by half a cell, renderers draw them indented
+    constructor(name, directions, options = {}) {
+        this.#_name = name;
+        this.#_directions = directions;
+        this.#_wraps = options.wraps ?? false;
+        this.#_offsetRows = options.offsetRows ?? false;
+    }
+
+    static get SQUARE() { return this.#_SQUARE; }
+
+    static get TORUS() { return this.#_TORUS; }
+
+    static get HEX() { return this.#_HEX; }
+
+    // Return the topology with a name
+    static fromName(name) {
+        let topology = [Topology.SQUARE, Topology.TORUS, Topology.HEX].find((level) => level.name === name);
+        if (topology === undefined) { throw new RangeError(i18n.t("topology.unknown", name)); }
+        return topology;
+    }
+
+    get name() { return this.#_name; }
+
+    get wraps() { return this.#_wraps; }
+
+    get offsetRows() { return this.#_offsetRows; }
+
+    // Return the positions of the cells adjacent to a cell on a board of rows x cols
+    adjacentCells(row, col, rows, cols) {
+        let adjacentCells = [];
+
+        for (let [dirRow, dirCol] of this.#_directions[row % this.#_directions.length]) {
+            let newRow = row + dirRow;
+            let newCol = col + dirCol;
+
+            if (this.#_wraps) {
+                newRow = (newRow + rows) % rows;
+                newCol = (newCol + cols) % cols;
+            } else if (newRow < 0 || newRow >= rows || newCol < 0 || newCol >= cols) {
+                continue;
+            }
+            adjacentCells.push([newRow, newCol]);
+        }
+        return adjacentCells;
+    }
+}
+
+// First click policies, deciding which cells around the first opened cell are kept free of mines
+// Boards use the random policy by default, the layouts of existing seeds depend on it
+class FirstClick {
+    static #_NONE = new FirstClick("none");
+    static #_SAFE = new FirstClick("safe");
+    static #_OPENING = new FirstClick("opening");
+    static #_RANDOM = new FirstClick("random");
+
+    #_name;
+
+    constructor(name) {
+        this.#_name = name;
+    }
+
+    static get NONE() { return this.#_NONE; }
+
+    static get SAFE() { return this.#_SAFE; }
+
+    static get OPENING() { return this.#_OPENING; }
+
+    static get RANDOM() { return this.#_RANDOM; }
+
+    // Every policy, in menu order
+    static get POLICIES() { return [FirstClick.NONE, FirstClick.SAFE, FirstClick.OPENING, FirstClick.RANDOM]; }
+
+    // Return the policy with a name
+    static fromName(name) {
+        let policy = FirstClick.POLICIES.find((level) => level.name === name);
+        if (policy === undefined) {
+            throw new RangeError(i18n.t("firstClick.unknown", name));
+        }
+        return policy;
+    }
+
+    get name() { return this.#_name; }
+
+    // Description of the policy in the current locale
+    get description() { return i18n.t(`firstClick.${ this.#_name }`); }
+
+    // Check if the first opened cell is never a mine
+    get isSafe() { return this !== FirstClick.NONE; }
+}
+
+// Cell State
+// The states are semantic, renderers from minesweeper/renderers.js decide how they are drawn
+class CellState {
+    static UNOPENED = "unopened";
+    static FLAGGED = "flagged";
+    static MINE = "mine";
+    static NO_ADJACENT = "empty";
+    static ADJACENT = "adjacent";
+    static EXPLODED = "exploded";
+    #_isMine;
+    #_isFlagged;
+    #_isOpened;
+    #_isExploded;
+    #_adjacentMines;
+    #_currentState;
+    #_defaultState;
+
+    constructor() {
+        this.#_isMine = false;
+        this.#_isFlagged = false;
+        this.#_isOpened = false;
+        this.#_isExploded = false;
+        this.#_adjacentMines = 0;
+        this.#_currentState = CellState.UNOPENED;
+        this.#_defaultState = CellState.NO_ADJACENT;
+    }
+
+    get isMine() { return this.#_isMine; }
+
+    set isMine(value) {
+        this.#_isMine = value;
+
+        if (this.#_isMine) {
+            this.#_defaultState = CellState.MINE;
+        } else {
+            this.#_defaultState = CellState.NO_ADJACENT;
+        }
+
+        this.#_currentState = CellState.UNOPENED;
+        this.#_adjacentMines = 0;
+        this.#_isOpened = false;
+        this.#_isExploded = false;
+        this.#_isFlagged = false;
+    }
+
+    get isFlagged() { return this.#_isFlagged; }
+
+    set isFlagged(value) {
+        if (this.#_isOpened) { return; }
+
+        this.#_isFlagged = value;
+
+        if (this.#_isFlagged) {
+            this.#_currentState = CellState.FLAGGED;
+        } else {
+            this.#_currentState = CellState.UNOPENED;
+        }
+    }
+
+    get isOpened() { return this.#_isOpened; }
+
+    set isOpened(value) {
+        this.#_isOpened = value;
+
+        if (this.#_isOpened) {
+            this.#_currentState = this.#_isExploded ? CellState.EXPLODED : this.#_defaultState;
+        } else {
+            this.#_currentState = CellState.UNOPENED;
+        }
+    }
+
+    get isExploded() { return this.#_isExploded; }
+
+    // A mine opened by the player explodes, it stays opened and marked as exploded
+    set isExploded(value) {
+        if (!this.#_isMine) { return; }
+
+        this.#_isExploded = value;
+        this.isOpened = value;
+    }
+
+    get adjacentMines() { return this.#_adjacentMines; }
+
+    set adjacentMines(value) {
+        if (this.#_isMine) { return; }
+        if (value < 0) { return; }
+
+        this.#_adjacentMines = value;
+
+        if (this.#_adjacentMines > 0) {
+            this.#_defaultState = CellState.ADJACENT;
+        } else {
+            this.#_defaultState = CellState.NO_ADJACENT;
+        }
+
+        if (this.#_isOpened) { this.#_currentState = this.#_defaultState; }
+    }
+
+    // State shown to the player, the number of an ADJACENT cell is given by adjacentMines
+    get currentState() { return this.#_currentState; }
+}
+
+// Cell
+class Cell {
+    #_row;
+    #_col;
+    #_state;
+
+    constructor(row, col) {
+        this.#_row = row;
+        this.#_col = col;
+        this.#_state = new CellState();
+    }
+
+    get row() { return this.#_row; }
+
+    get col() { return this.#_col; }
+
+    get state() { return this.#_state; }
+}
+
+// Logical solver reading only the player-visible state of a game board: opened numbers and unopened cells
+// Flags are ignored because the player may have placed them wrongly, exploded mines of a lives game are known mines
+class Solver {
+    #_board;
+    #_rows;
+    #_cols;
+    #_mines;
+    #_topology;
+    #_known;
+
+    // board: game board from Board.getGameBoard()
+    // mines: total number of mines on the board, enables the mine count rule when known
+    // topology: topology of the board, deciding which cells are adjacent
+    constructor(board, mines = null, topology = Topology.SQUARE) {
+        this.#_board = board;
+        this.#_rows = board.length;
+        this.#_cols = board.length > 0 ? board[0].length : 0;
+        this.#_mines = mines;
+        this.#_topology = topology;
+    }
+
+    // Return the unopened cells that are certainly safe and certainly mines
+    solve() {
+        this.#_known = new Map();
+
+        let exploded = new Set();
+        for (let row = 0; row < this.#_rows; row++) {
+            for (let col = 0; col < this.#_cols; col++) {
+                if (this.#_board[row][col].isExploded) { exploded.add(`${ row },${ col }`); }
+            }
+        }
+        this.#markCells(exploded, true);
+
+        let changed = true;
+        while (changed) {
+            let constraints = this.#buildConstraints();
+            changed = this.#applySingleCellRule(constraints);
+            changed = this.#applySubsetRule(constraints) || changed;
+            changed = this.#applyMineCountRule() || changed;
+        }
+
+        let safe = [];
+        let mines = [];
+        for (let [key, isMine] of this.#_known) {
+            if (exploded.has(key)) { continue; }
+
+            let position = key.split(",").map(Number);
+            (isMine ? mines : safe).push(position);
+        }
+        return { safe: safe, mines: mines };
+    }
+
+    #getAdjacentCells(row, col) { return this.#_topology.adjacentCells(row, col, this.#_rows, this.#_cols); }
+
+    // Check if a cell shows its number of adjacent mines, an exploded mine is opened without a number
+    #isNumber(row, col) {
+        let state = this.#_board[row][col];
+        return state.isOpened && !state.isExploded;
+    }
+
+    // A constraint is a set of unknown cells containing an exact number of mines
+    #buildConstraints() {
+        let constraints = new Map();
+
+        for (let row = 0; row < this.#_rows; row++) {
+            for (let col = 0; col < this.#_cols; col++) {
+                if (!this.#isNumber(row, col)) { continue; }
+
+                let cells = [];
+                let mines = this.#_board[row][col].adjacentMines;
+
+                for (let [newRow, newCol] of this.#getAdjacentCells(row, col)) {
+                    if (this.#isNumber(newRow, newCol)) { continue; }
+
+                    let key = `${ newRow },${ newCol }`;
+                    if (!this.#_known.has(key)) {
+                        cells.push(key);
+                    } else if (this.#_known.get(key)) {
+                        mines--;
+                    }
+                }
+
+                if (cells.length > 0) { Solver.#addConstraint(constraints, cells, mines); }
+            }
+        }
+        return [...constraints.values()];
+    }
+
+    static #addConstraint(constraints, cells, mines) {
+        let key = [...cells].sort().join(";");
+        if (!constraints.has(key)) { constraints.set(key, { cells: new Set(cells), mines: mines }); }
+    }
+
+    #markCells(cells, isMine) {
+        let changed = false;
+
+        for (let key of cells) {
+            if (this.#_known.has(key)) { continue; }
+            this.#_known.set(key, isMine);
+            changed = true;
+        }
+        return changed;
+    }
+
+    // All cells are safe when no mine is left, all cells are mines when every cell must be one
+    #applyConstraint(cells, mines) {
+        if (mines === 0) { return this.#markCells(cells, false); }
+        if (mines === cells.size) { return this.#markCells(cells, true); }
+        return false;
+    }
+
+    #applySingleCellRule(constraints) {
+        let changed = false;
+
+        for (let { cells, mines } of constraints) {
+            changed = this.#applyConstraint(cells, mines) || changed;
+        }
+        return changed;
+    }
+
+    // When the cells of one constraint are a subset of another, the remaining cells hold the difference of the mines
+    #applySubsetRule(constraints) {
+        let changed = false;
+        let constraintsByCell = new Map();
+
+        for (let constraint of constraints) {
+            for (let key of constraint.cells) {
+                if (!constraintsByCell.has(key)) { constraintsByCell.set(key, []); }
+                constraintsByCell.get(key).push(constraint);
+            }
+        }
+
+        for (let subset of constraints) {
+            let [firstCell] = subset.cells;
+
+            for (let superset of constraintsByCell.get(firstCell)) {
+                if (superset === subset || superset.cells.size <= subset.cells.size) { continue; }
+                if (![...subset.cells].every((key) => superset.cells.has(key))) { continue; }
+
+                let difference = new Set([...superset.cells].filter((key) => !subset.cells.has(key)));
+                changed = this.#applyConstraint(difference, superset.mines - subset.mines) || changed;
+            }
+        }
+        return changed;
+    }
+
+    // All unknown cells are safe when every mine is known, and all are mines when only mines are left
+    #applyMineCountRule() {
+        if (this.#_mines === null) { return false; }
+
+        let unknownCells = [];
+        let remainingMines = this.#_mines;
+
+        for (let row = 0; row < this.#_rows; row++) {
+            for (let col = 0; col < this.#_cols; col++) {
+                if (this.#isNumber(row, col)) { continue; }
+
+                let key = `${ row },${ col }`;
+                if (!this.#_known.has(key)) {
+                    unknownCells.push(key);
+                } else if (this.#_known.get(key)) {
+                    remainingMines--;
+                }
+            }
+        }
+        if (unknownCells.length === 0) { return false; }
+
+        return this.#applyConstraint(new Set(unknownCells), remainingMines);
+    }
+}
+
+// The game board is a grid of cells with mines placed randomly except the initial cell
+class Board {
+
+    // Version of the saved game format written by toJSON
+    static #_saveVersion = 1;
+
+    // Mouse button of every move action, for the click counts
+    static #_clickButtons = { open: "left", flag: "right", chord: "chord" };
+
+    // No-guess generation gives up after this many layouts or milliseconds, whichever comes first
+    static NO_GUESS_ATTEMPTS = 1000;
+    static NO_GUESS_TIME_LIMIT = 5000;
+
+    // Renderer used by toString, plain ASCII unless the game chooses a theme
+    static #_renderer = new renderers.AsciiRenderer();
+
+    // Events fired by the board, listeners are added with on() and receive a payload object
+    // gameStarted: { row, col, seed }, the first opened cell and the seed of the mine layout
+    // cellOpened: { row, col, isMine, adjacentMines }, fired for every cell opened by a move, including the flood fill
+    // cellFlagged: { row, col, isFlagged, remainingMines }
+    // gameWon: { time, moves }, the game time in milliseconds and the number of moves after the start
+    // gameLost: { row, col, time, mines }, the opened mine and the positions of all mines
+    static EVENTS = ["gameStarted", "cellOpened", "cellFlagged", "gameWon", "gameLost"];
+
+    // Game board properties
+    #_difficulty;
+    #_rows;
+    #_cols;
+    #_mines;
+    #_cells;
+    #_minesList;
+    #_flags;
+    #_openedCells;
+    #_isGameOver;
+    #_isGameWon;
+    #_startTime;
+    #_endTime;
+    #_seed;
+    #_gameSeed;
+    #_randomFactory;
+    #_random;
+    #_moves;
+    #_practice;
+    #_isAssisted;
+    #_isImported;
+    #_undos;
+    #_hints;
+    #_clicks;
+    #_bbbv;
+    #_noGuess;
+    #_topology;
+    #_firstClick;
+    #_lives;
+    #_explodedMines;
+    #_isGuessFree;
+    #_gameBoard;
+    #_listeners;
+    #_isSilent;
+
+    // Initialize the board with a difficulty level
+    // options.seed: fixed seed used for every game on this board (random seed per game when omitted)
+    // options.random: factory creating a pseudo random number generator with a next() method from a seed
+    // options.practice: allow undoing moves, a game with undone moves is marked as assisted
+    // options.noGuess: generate boards that can be solved from the first click without guessing
+    // options.topology: Topology deciding which cells are adjacent (square by default)
+    // options.firstClick: FirstClick policy keeping cells around the first opened cell free of mines (random by default)
+    // options.lives: number of mines that can be opened, the game is lost when the last life is spent (1 by default)
+    constructor(difficulty, options = {}) {
+        this.#_difficulty = difficulty.name;
+        this.#_rows = difficulty.rows;
+        this.#_cols = difficulty.cols;
+        this.#_mines = difficulty.mines;
+        this.#_seed = options.seed ?? null;
+        this.#_randomFactory = options.random ?? ((seed) => new Random(seed));
+        this.#_practice = options.practice ?? false;
+        this.#_noGuess = options.noGuess ?? false;
+        this.#_topology = options.topology ?? Topology.SQUARE;
+        if (!(this.#_topology instanceof Topology)) { throw new TypeError(i18n.t("board.topologyType")); }
+        this.#_firstClick = options.firstClick ?? FirstClick.RANDOM;
+        if (!(this.#_firstClick instanceof FirstClick)) { throw new TypeError(i18n.t("board.firstClickType")); }
+        this.#_lives = options.lives ?? 1;
+        if (!Number.isInteger(this.#_lives) || this.#_lives < 1) {
+            throw new RangeError(i18n.t("board.lives"));
+        }
+        this.#_listeners = Object.fromEntries(Board.EVENTS.map((event) => [event, []]));
+        this.#_isSilent = false;
+        this.reset();
+    }
+
+    get rows() { return this.#_rows; }
+
+    get cols() { return this.#_cols; }
+
+    get mines() { return this.#_mines; }
+
+    get difficulty() { return this.#_difficulty; }
+
+    // Seed of the current game (null until the game is started)
+    get seed() { return this.#_gameSeed; }
+
+    get practice() { return this.#_practice; }
+
+    get noGuess() { return this.#_noGuess; }
+
+    get topology() { return this.#_topology; }
+
+    get firstClick() { return this.#_firstClick; }
+
+    get lives() { return this.#_lives; }
+
+    static get renderer() { return Board.#_renderer; }
+
+    static set renderer(renderer) {
+        if (!(renderer instanceof renderers.Renderer)) { throw new TypeError(i18n.t("board.rendererType")); }
+        Board.#_renderer = renderer;
+    }
+
+    // Add a listener called with the payload of an event, see Board.EVENTS
+    on(event, listener) {
+        this.#checkListener(event, listener);
+        this.#_listeners[event].push(listener);
+        return this;
+    }
+
+    // Remove a listener added with on()
+    off(event, listener) {
+        this.#checkListener(event, listener);
+
+        let index = this.#_listeners[event].lastIndexOf(listener);
+        if (index !== -1) { this.#_listeners[event].splice(index, 1); }
+        return this;
+    }
+
+    #checkListener(event, listener) {
+        if (!Board.EVENTS.includes(event)) {
+            throw new RangeError(i18n.t("board.unknownEvent", event, Board.EVENTS.join(", ")));
+        }
+        if (typeof listener !== "function") { throw new TypeError(i18n.t("board.listenerType")); }
+    }
+
+    // Check if an event has listeners, so payloads are only built when needed
+    #isListened(event) { return !this.#_isSilent && this.#_listeners[event].length > 0; }
+
+    // Call the listeners of an event, a copy of the list is used so listeners can remove themselves
+    #emit(event, payload) {
+        if (!this.#isListened(event)) { return; }
+        for (let listener of [...this.#_listeners[event]]) { listener(payload); }
+    }
+
+    // Start the game, the same seed and initial cell always produce the same mine layout
+    startGame(row, col, seed = this.#_seed) {
+        if (row < 0 || row >= this.#_rows || col < 0 || col >= this.#_cols) {
+            throw new RangeError(i18n.t("board.invalidCell", row, col));
+        }
+
+        // Cells of a board that was never played are reused, recreating them is slow on large boards
+        if (this.#_startTime !== null || this.#_flags > 0 || this.#_openedCells > 0) { this.reset(); }
+
+        this.#_gameSeed = seed ?? Random.randomSeed();
+        this.#_random = this.#_randomFactory(this.#_gameSeed);
+
+        if (this.#_noGuess) {
+            this.#placeSolvableMines(row, col);
+        } else {
+            this.#placeMines(row, col);
+        }
+        this.#_startTime = new Date();
+        this.#_moves.push({ action: "start", row: row, col: col, time: this.#_startTime.getTime() });
+        this.#emit("gameStarted", { row: row, col: col, seed: this.#_gameSeed });
+    }
+
+    // Restart the game
+    reset() {
+        this.#_cells = [];
+        this.#_minesList = [];
+        this.#_flags = 0;
+        this.#_openedCells = 0;
+        this.#_explodedMines = [];
+        this.#_isGameOver = false;
+        this.#_isGameWon = false;
+        this.#_startTime = null;
+        this.#_endTime = null;
+        this.#_gameSeed = null;
+        this.#_random = null;
+        this.#_moves = [];
+        this.#_isAssisted = false;
+        this.#_isImported = false;
+        this.#_undos = 0;
+        this.#_hints = 0;
+        this.#_clicks = { left: 0, right: 0, chord: 0, wasted: 0 };
+        this.#_bbbv = null;
+        this.#_isGuessFree = false;
+        this.#init();
+    }
+
+    // Initialize the board
+    #init() {
+        this.#_gameBoard = null;
+
+        for (let row = 0; row < this.#_rows; row++) {
+            this.#_cells[row] = [];
+
+            for (let col = 0; col < this.#_cols; col++) {
+                this.#_cells[row][col] = new Cell(row, col);
+            }
+        }
+    }
+
+    #getAdjacentCells(row, col) { return this.#_topology.adjacentCells(row, col, this.#_rows, this.#_cols); }
+
+    // Shuffle the first count items of the array (Fisher-Yates), the whole array by default
+    #shuffleArray(array, count = array.length) {
+        for (let i = 0; i < Math.min(count, array.length - 1); i++) {
+            let j = i + Math.floor(this.#_random.next() * (array.length - i));
+            [array[i], array[j]] = [array[j], array[i]];
+        }
+    }
+
+    // Return the indices (row * cols + col) of the cells that are not excluded
+    #buildCellsListWithoutMines(excludeCells) {
+        let cellsList = [];
+
+        for (let index = 0; index < this.#_rows * this.#_cols; index++) {
+            if (excludeCells.has(index)) { continue; }
+            cellsList.push(index);
+        }
+        return cellsList;
+    }
+
+    // Return the cells kept free of mines around the initial cell by the first click policy
+    #firstClickCells(initialRow, initialCol) {
+        let adjacentCells = this.#getAdjacentCells(initialRow, initialCol);
+
+        switch (this.#_firstClick) {
+            case FirstClick.NONE:
+                return [];
+            case FirstClick.SAFE:
+                return [[initialRow, initialCol]];
+            case FirstClick.OPENING:
+                return [[initialRow, initialCol], ...adjacentCells];
+            default: {
+                // Random: the initial cell and 1 to all of its adjacent cells
+                this.#shuffleArray(adjacentCells);
+                let numberOfAdjacentCells = Math.floor(this.#_random.next() * adjacentCells.length) + 1;
+                return [[initialRow, initialCol], ...adjacentCells.slice(0, numberOfAdjacentCells)];
+            }
+        }
+    }
+
+    // Place mines randomly except the cells protected by the first click policy
+    #placeMines(initialRow, initialCol) {
+        let mines = this.#_mines;
+        let excludeCells = new Set(this.#firstClickCells(initialRow, initialCol).map(([row, col]) => row * this.#_cols + col));
+
+        let cellList = this.#buildCellsListWithoutMines(excludeCells);
+        if (cellList.length < mines) {
+            throw new RangeError(i18n.t("board.notEnoughCells", mines, cellList.length));
+        }
+
+        // Only the cells picked for the mines need to be shuffled
+        this.#shuffleArray(cellList, mines);
+
+        this.#loadMines(cellList.slice(0, mines).map((index) => [Math.floor(index / this.#_cols), index % this.#_cols]));
+    }
+
+    // Place mines until the whole board can be solved from the initial cell by logic alone
+    // When no solvable layout is found within NO_GUESS_ATTEMPTS layouts or NO_GUESS_TIME_LIMIT milliseconds,
+    // the last layout is kept and the game is reported as not guess free
+    // The layout only depends on the seed unless the time limit is reached first
+    #placeSolvableMines(initialRow, initialCol) {
+        let deadline = Date.now() + Board.NO_GUESS_TIME_LIMIT;
+
+        for (let attempt = 1; ; attempt++) {
+            this.#placeMines(initialRow, initialCol);
+
+            if (this.#isSolvable(initialRow, initialCol)) {
+                this.#_isGuessFree = true;
+                return;
+            }
+            if (attempt >= Board.NO_GUESS_ATTEMPTS || Date.now() >= deadline) { return; }
+
+            this.#_cells = [];
+            this.#_minesList = [];
+            this.#init();
+        }
+    }
+
+    // Check if the solver can open every safe cell starting from the initial cell
+    #isSolvable(initialRow, initialCol) {
+        let difficulty = new Difficulty(this.#_difficulty, this.#_rows, this.#_cols, this.#_mines);
+        let board = new Board(difficulty, { topology: this.#_topology });
+        board.#loadMines(this.#_minesList);
+        board.#openCell(initialRow, initialCol);
+
+        while (!board.#_isGameOver && !board.#_isGameWon) {
+            let { safe } = new Solver(board.getGameBoard(), this.#_mines, this.#_topology).solve();
+            if (safe.length === 0) { return false; }
+
+            safe.forEach(([row, col]) => board.#openCell(row, col));
+        }
+        return board.#_isGameWon;
+    }
+
+    // Place mines at the given positions
+    #loadMines(minesList) {
+        for (let [row, col] of minesList) {
+            let cell = this.#_cells[row][col];
+            cell.state.isMine = true;
+            this.#_minesList.push([row, col]);
+        }
+
+        this.#calculateAdjacentMines();
+        this.#_bbbv = this.#calculate3BV();
+    }
+
+    // Calculate adjacent mines for each cell
+    #calculateAdjacentMines() {
+        for (let [row, col] of this.#_minesList) {
+            for (let [newRow, newCol] of this.#getAdjacentCells(row, col)) {
+                let cell = this.#_cells[newRow][newCol];
+                if (cell.state.isMine) { continue; }
+                cell.state.adjacentMines++;
+            }
+        }
+    }
+
+    // Calculate the 3BV (Bechtel's Board Benchmark Value) of the layout, the least number of clicks clearing the board:
+    // one click per opening, an area of cells without adjacent mines with its border, and one click per other safe cell
+    #calculate3BV() {
+        let isCleared = new Uint8Array(this.#_rows * this.#_cols);
+        let bbbv = 0;
+
+        for (let index = 0; index < isCleared.length; index++) {
+            let state = this.#_cells[Math.floor(index / this.#_cols)][index % this.#_cols].state;
+            if (isCleared[index] || state.isMine || state.adjacentMines > 0) { continue; }
+
+            bbbv++;
+            isCleared[index] = 1;
+            let queue = [index];
+
+            for (let head = 0; head < queue.length; head++) {
+                let currentRow = Math.floor(queue[head] / this.#_cols);
+                let currentCol = queue[head] % this.#_cols;
+
+                for (let [newRow, newCol] of this.#getAdjacentCells(currentRow, currentCol)) {
+                    let newIndex = newRow * this.#_cols + newCol;
+                    if (isCleared[newIndex]) { continue; }
+
+                    isCleared[newIndex] = 1;
+                    if (this.#_cells[newRow][newCol].state.adjacentMines === 0) { queue.push(newIndex); }
+                }
+            }
+        }
+
+        for (let index = 0; index < isCleared.length; index++) {
+            if (!isCleared[index] && !this.#_cells[Math.floor(index / this.#_cols)][index % this.#_cols].state.isMine) { bbbv++; }
+        }
+        return bbbv;
+    }
+
+    // Open a cell
+    openCell(row, col) {
+        if (this.#_isGameOver || this.#_isGameWon) { return; }
+        if (row < 0 || row >= this.#_rows || col < 0 || col >= this.#_cols) {
+            throw new RangeError(i18n.t("board.invalidCell", row, col));
+        }
+
+        this.#recordMove("open", row, col);
+        this.#click({ action: "open", row: row, col: col });
+    }
+
+    #openCell(row, col) {
+        if (this.#_isGameOver || this.#_isGameWon) { return; }
+
+        let cell = this.#_cells[row][col];
+        if (cell.state.isOpened) { return; }
+
+        // An opened cell loses its flag, before it is opened as the flag of an opened cell cannot change
+        if (cell.state.isFlagged) {
+            cell.state.isFlagged = false;
+            this.#_flags--;
+        }
+
+        // The opened mine explodes, the game goes on while the player has lives left
+        if (cell.state.isMine) {
+            cell.state.isExploded = true;
+            this.#_explodedMines.push([row, col]);
+
+            if (this.#_explodedMines.length < this.#_lives) {
+                this.#emit("cellOpened", { row: row, col: col, isMine: true, adjacentMines: 0 });
+                return;
+            }
+
+            this.#_isGameOver = true;
+            this.#_endTime = new Date();
+            this.#openAllMines();
+            this.#emit("cellOpened", { row: row, col: col, isMine: true, adjacentMines: 0 });
+            if (this.#isListened("gameLost")) {
+                let mines = this.#_minesList.map(([mineRow, mineCol]) => [mineRow, mineCol]);
+                this.#emit("gameLost", { row: row, col: col, time: this.#elapsedTime(), mines: mines });
+            }
+            return;
+        }
+
+        cell.state.isOpened = true;
+        this.#_openedCells++;
+        this.#emit("cellOpened", { row: row, col: col, isMine: false, adjacentMines: cell.state.adjacentMines });
+
+        if (cell.state.adjacentMines === 0) {
+            this.#openAdjacentCells(row, col);
+        }
+
+        if (this.#_openedCells === (this.#_rows * this.#_cols) - this.#_mines) {
+            this.#_isGameWon = true;
+            this.#_endTime = new Date();
+            this.#emit("gameWon", { time: this.#elapsedTime(), moves: this.#_moves.length - 1 });
+        }
+    }
+
+    // Open adjacent cells with a queue based flood fill through the cells without adjacent mines
+    #openAdjacentCells(row, col) {
+        let queue = [row * this.#_cols + col];
+        let isListened = this.#isListened("cellOpened");
+
+        for (let head = 0; head < queue.length; head++) {
+            let currentRow = Math.floor(queue[head] / this.#_cols);
+            let currentCol = queue[head] % this.#_cols;
+
+            for (let [newRow, newCol] of this.#getAdjacentCells(currentRow, currentCol)) {
+                let state = this.#_cells[newRow][newCol].state;
+                if (state.isOpened || state.isFlagged) { continue; }
+                if (state.isMine) { continue; }
+
+                state.isOpened = true;
+                this.#_openedCells++;
+                if (isListened) { this.#emit("cellOpened", { row: newRow, col: newCol, isMine: false, adjacentMines: state.adjacentMines }); }
+
+                if (state.adjacentMines === 0) { queue.push(newRow * this.#_cols + newCol); }
+            }
+        }
+    }
+
+    // Open all unflagged adjacent cells of an opened cell when its adjacent flags match its adjacent mines (chording)
+    chordCell(row, col) {
+        if (this.#_isGameOver || this.#_isGameWon) { return; }
+        if (row < 0 || row >= this.#_rows || col < 0 || col >= this.#_cols) {
+            throw new RangeError(i18n.t("board.invalidCell", row, col));
+        }
+
+        this.#recordMove("chord", row, col);
+        this.#click({ action: "chord", row: row, col: col });
+    }
+
+    #chordCell(row, col) {
+        let cell = this.#_cells[row][col];
+        if (!cell.state.isOpened || cell.state.adjacentMines === 0) { return; }
+
+        // Exploded mines count as flags
+        let adjacentCells = this.#getAdjacentCells(row, col);
+        let adjacentFlags = adjacentCells.filter(([newRow, newCol]) => {
+            let state = this.#_cells[newRow][newCol].state;
+            return state.isFlagged || state.isExploded;
+        }).length;
+        if (adjacentFlags !== cell.state.adjacentMines) { return; }
+
+        // A wrongly flagged cell means a mine is opened and the game is over
+        for (let [newRow, newCol] of adjacentCells) {
+            if (this.#_cells[newRow][newCol].state.isFlagged) { continue; }
+            this.#openCell(newRow, newCol);
+        }
+    }
+
+    // Toggle flag on a cell
+    toggleFlag(row, col) {
+        if (row < 0 || row >= this.#_rows || col < 0 || col >= this.#_cols) {
+            throw new RangeError(i18n.t("board.invalidCell", row, col));
+        }
+
+        if (this.#_isGameOver || this.#_isGameWon) { return; }
+
+        this.#recordMove("flag", row, col);
+        this.#click({ action: "flag", row: row, col: col });
+    }
+
+    #toggleFlag(row, col) {
+        let cell = this.#_cells[row][col];
+        if (cell.state.isOpened) { return; }
+
+        cell.state.isFlagged = !cell.state.isFlagged;
+        this.#_flags += cell.state.isFlagged ? 1 : -1;
+        this.#emit("cellFlagged", { row: row, col: col, isFlagged: cell.state.isFlagged, remainingMines: this.#getRemainingMines() });
+    }
+
+    // Record a move of a started game in the move history
+    #recordMove(action, row, col) {
+        if (this.#_startTime === null) { return; }
+        this.#_moves.push({ action: action, row: row, col: col, time: Date.now() });
+    }
+
+    // Apply a move of a started game and count its click, a click that changes nothing on the board is wasted
+    // A mine exploding with lives left changes the board too, even when it was flagged. Undone clicks stay counted
+    #click(move) {
+        let isCounted = this.#_startTime !== null;
+        let openedCells = this.#_openedCells;
+        let flags = this.#_flags;
+        let explodedMines = this.#_explodedMines.length;
+
+        this.#applyMove(move);
+        if (!isCounted) { return; }
+
+        this.#_clicks[Board.#_clickButtons[move.action]]++;
+        let isChanged = this.#_openedCells !== openedCells || this.#_flags !== flags ||
+                        this.#_explodedMines.length !== explodedMines;
+        if (!isChanged && !this.#_isGameOver) { this.#_clicks.wasted++; }
+    }
+
+    // Apply a recorded move without recording it again
+    #applyMove({ action, row, col }) {
+        switch (action) {
+            case "open":
+                this.#openCell(row, col);
+                break;
+            case "flag":
+                this.#toggleFlag(row, col);
+                break;
+            case "chord":
+                this.#chordCell(row, col);
+                break;
+        }
+    }
+
+    // Return an unopened cell that is certainly safe, or else an unflagged cell that is certainly a mine
+    // Return null when no cell can be proven and a guess is required
+    hint() {
+        if (this.#_startTime === null || this.#_isGameOver || this.#_isGameWon) { return null; }
+
+        this.#_hints++;
+
+        let { safe, mines } = new Solver(this.getGameBoard(), this.#_mines, this.#_topology).solve();
+        let isFlagged = ([row, col]) => this.#_cells[row][col].state.isFlagged;
+        let safeCell = safe.find((position) => !isFlagged(position)) ?? safe[0];
+        let mineCell = mines.find((position) => !isFlagged(position));
+
+        if (safeCell !== undefined) { return { row: safeCell[0], col: safeCell[1], isMine: false }; }
+        if (mineCell !== undefined) { return { row: mineCell[0], col: mineCell[1], isMine: true }; }
+        return null;
+    }
+
+    // Return a copy of the move history, the first move is the start of the game
+    getMoveHistory() { return this.#_moves.map((move) => ({ ...move })); }
+
+    // Undo the last move in practice mode, the game is marked as assisted
+    // Return false when there is no move to undo
+    undo() {
+        if (!this.#_practice) { throw new Error(i18n.t("board.undoUnavailable")); }
+        if (this.#_moves.length < 2) { return false; }
+
+        this.#_moves.pop();
+        this.#rebuild();
+        this.#_isAssisted = true;
+        this.#_undos++;
+        return true;
+    }
+
+    // Rebuild the board from its initial mine layout and the moves after the start of the game
+    // The moves were already announced when they were played, so no events are fired
+    #rebuild() {
+        let minesList = this.#_minesList;
+
+        this.#_cells = [];
+        this.#_minesList = [];
+        this.#_flags = 0;
+        this.#_openedCells = 0;
+        this.#_explodedMines = [];
+        this.#_isGameOver = false;
+        this.#_isGameWon = false;
+        this.#_endTime = null;
+        this.#init();
+        this.#loadMines(minesList);
+
+        this.#_isSilent = true;
+        try {
+            this.#_moves.slice(1).forEach((move) => this.#applyMove(move));
+        } finally {
+            this.#_isSilent = false;
+        }
+    }
+
+    // Step through the move history of the game, yielding every move with a board showing the game after it
+    // The same board is updated at every step, its game time is the time of the move
+    *replay() {
+        let difficulty = new Difficulty(this.#_difficulty, this.#_rows, this.#_cols, this.#_mines);
+        let board = new Board(difficulty, { topology: this.#_topology, firstClick: this.#_firstClick, lives: this.#_lives });
+
+        for (let move of this.#_moves) {
+            if (move.action === "start") {
+                board.#loadMines(this.#_minesList);
+                board.#_gameSeed = this.#_gameSeed;
+                board.#_startTime = new Date(move.time);
+            } else {
+                board.#click(move);
+            }
+
+            board.#_endTime = new Date(move.time);
+            yield { move: { ...move }, board: board };
+        }
+    }
+
+    // Open all mines
+    #openAllMines() {
+        this.#_minesList.forEach(([row, col]) => this.#_cells[row][col].state.isOpened = true);
+    }
+
+    // Get game status
+    #getGameStatus = () => ({
+        isGameStarted: this.#_startTime !== null,
+        isGameOver:    this.#_isGameOver,
+        isGameWon:     this.#_isGameWon,
+        isPractice:    this.#_practice,
+        isAssisted:    this.#_isAssisted,
+        isImported:    this.#_isImported,
+        isNoGuess:     this.#_noGuess,
+        isGuessFree:   this.#_isGuessFree
+    });
+
+    // Get game board, a grid of the live cell states
+    // The grid is built on the first call and shared until the cells are recreated, it must not be modified
+    getGameBoard() {
+        if (this.#_gameBoard === null) {
+            this.#_gameBoard = this.#_cells.map((cellsRow) => cellsRow.map((cell) => cell.state));
+        }
+        return this.#_gameBoard;
+    }
+
+    // Get the board as the player sees it, a new grid of plain values safe to send or store
+    // Cells are "unopened", "flagged", "exploded" (an opened mine), "mine" (shown when the game is lost)
+    // or the number of adjacent mines of an opened cell
+    getPlayerBoard() {
+        return this.getGameBoard().map((cellsRow) => cellsRow.map((cell) => {
+            switch (cell.currentState) {
+                case CellState.NO_ADJACENT: return 0;
+                case CellState.ADJACENT:    return cell.adjacentMines;
+                default:                    return cell.currentState;
+            }
+        }));
+    }
+
+    // Get game time in milliseconds
+    #elapsedTime() {
+        if (this.#_startTime === null) { return 0; }
+
+        let endTime = this.#_endTime === null ? new Date() : this.#_endTime;
+        return endTime.getTime() - this.#_startTime.getTime();
+    }
+
+    // Get game time in seconds
+    #gameTimeInSecond() { return Math.floor(this.#elapsedTime() / 1000); }
+
+    // Exploded mines are known, so they are not counted as remaining
+    #getRemainingMines() { return this.#_mines - this.#_flags - this.#_explodedMines.length; }
+
+    // Get the 3BV cleared per second of a won game, null otherwise
+    #get3BVPerSecond() {
+        let time = this.#elapsedTime();
+        return this.#_isGameWon && time > 0 ? this.#_bbbv / (time / 1000) : null;
+    }
+
+    // Get the efficiency of a won game, its 3BV divided by the clicks (1 when no click was needed beyond the 3BV), null otherwise
+    #getEfficiency() {
+        let { left, right, chord } = this.#_clicks;
+        return this.#_isGameWon && left + right + chord > 0 ? this.#_bbbv / (left + right + chord) : null;
+    }
+
+    // Get game stats, the 3BV is null until the mines are placed
+    #getGameStats = () => ({
+        flags:                 this.#_flags,
+        openedCells:           this.#_openedCells,
+        remainingMines:        this.#getRemainingMines(),
+        gameTimeInSecond:      this.#gameTimeInSecond(),
+        gameTimeInMillisecond: this.#elapsedTime(),
+        moves:                 Math.max(this.#_moves.length - 1, 0),
+        undos:                 this.#_undos,
+        hints:                 this.#_hints,
+        lives:                 this.#_lives,
+        livesUsed:             this.#_explodedMines.length,
+        clicks:                { ...this.#_clicks },
+        bbbv:                  this.#_bbbv,
+        bbbvPerSecond:         this.#get3BVPerSecond(),
+        efficiency:            this.#getEfficiency()
+    });
+
+    // Get game info
+    getGameInfo = () => ({
+        difficulty: this.#_difficulty,
+        topology:   this.#_topology.name,
+        firstClick: this.#_firstClick.name,
+        seed:       this.#_gameSeed,
+        status:     this.#getGameStatus(),
+        stats:      this.#getGameStats(),
+        board:      this.getGameBoard()
+    });
+
+    // Serialize the game to a plain object, used by JSON.stringify(board)
+    toJSON() {
+        let cells = this.#_cells.map((cellsRow) => cellsRow.map(({ state }) => ({
+            mine:          state.isMine,
+            flagged:       state.isFlagged,
+            opened:        state.isOpened,
+            adjacentMines: state.adjacentMines
+        })));
+
+        return {
+            version:     Board.#_saveVersion,
+            difficulty:  { name: this.#_difficulty, rows: this.#_rows, cols: this.#_cols, mines: this.#_mines },
+            topology:    this.#_topology.name,
+            firstClick:  this.#_firstClick.name,
+            lives:       this.#_lives,
+            seed:        this.#_seed,
+            gameSeed:    this.#_gameSeed,
+            cells:       cells,
+            minesList:   this.#_minesList.map(([row, col]) => [row, col]),
+            exploded:    this.#_explodedMines.map(([row, col]) => [row, col]),
+            flags:       this.#_flags,
+            openedCells: this.#_openedCells,
+            isGameOver:  this.#_isGameOver,
+            isGameWon:   this.#_isGameWon,
+            elapsedTime: this.#_startTime === null ? null : this.#elapsedTime(),
+            practice:    this.#_practice,
+            noGuess:     this.#_noGuess,
+            isGuessFree: this.#_isGuessFree,
+            isAssisted:  this.#_isAssisted,
+            isImported:  this.#_isImported,
+            undos:       this.#_undos,
+            hints:       this.#_hints,
+            clicks:      { ...this.#_clicks },
+            moves:       this.getMoveHistory()
+        };
+    }
+
+    // Restore a game saved with toJSON, a corrupted or tampered save throws a TypeError or RangeError
+    static fromJSON(data) {
+        if (typeof data === "string") {
+            try {
+                data = JSON.parse(data);
+            } catch (error) {
+                throw new TypeError(i18n.t("save.invalid", error.message));
+            }
+        }
+        Board.#check(data !== null && typeof data === "object", "save.notObject");
+        Board.#check(data.version === Board.#_saveVersion, "save.version", RangeError, data.version);
+        Board.#check([data.seed, data.gameSeed].every((seed) => seed === null || ["string", "number"].includes(typeof seed)),
+                     "save.seed");
+
+        Board.#check(typeof (data.practice ?? false) === "boolean", "save.practice");
+        Board.#check(typeof (data.noGuess ?? false) === "boolean", "save.noGuess");
+        Board.#check(typeof (data.isGuessFree ?? false) === "boolean", "save.guessFree");
+        Board.#check(!(data.isGuessFree && !data.noGuess), "save.guessFreeMode", RangeError);
+        Board.#check(Number.isInteger(data.lives ?? 1) && (data.lives ?? 1) >= 1, "save.lives", RangeError);
+
+        let topology = Topology.SQUARE;
+        try {
+            topology = Topology.fromName(data.topology ?? "square");
+        } catch (error) {
+            throw new RangeError(i18n.t("save.invalid", error.message));
+        }
+
+        let firstClick = FirstClick.RANDOM;
+        try {
+            firstClick = FirstClick.fromName(data.firstClick ?? "random");
+        } catch (error) {
+            throw new RangeError(i18n.t("save.invalid", error.message));
+        }
+
+        let board = new Board(Board.#savedDifficulty(data.difficulty), {
+            seed: data.seed, practice: data.practice, noGuess: data.noGuess, topology: topology, firstClick: firstClick,
+            lives: data.lives
+        });
+        board.#restore(data);
+        return board;
+    }
+
+    // Return the difficulty of a saved game, presets must match exactly and custom sizes must be valid
+    static #savedDifficulty(difficulty) {
+        Board.#check(difficulty !== null && typeof difficulty === "object", "save.difficulty");
+
+        let { name, rows, cols, mines } = difficulty;
+        let preset = [Difficulty.BEGINNER, Difficulty.INTERMEDIATE, Difficulty.EXPERT].find((level) => level.name === name);
+
+        if (preset === undefined) {
+            Board.#check(name === "Custom", "save.unknownDifficulty", RangeError, name);
+            try {
+                return Difficulty.custom(rows, cols, mines);
+            } catch (error) {
+                throw new RangeError(i18n.t("save.invalid", error.message));
+            }
+        }
+
+        Board.#check(preset.rows === rows && preset.cols === cols && preset.mines === mines,
+                     "save.boardSize", RangeError, name);
+        return preset;
+    }
+
+    // Rebuild the board from a saved game, checking every value against the mines list
+    #restore(data) {
+        let { cells, minesList, flags, openedCells, isGameOver, isGameWon, elapsedTime, gameSeed } = data;
+        let isStarted = elapsedTime !== null;
+
+        Board.#check(Array.isArray(minesList), "save.minesList");
+        Board.#check(isStarted ? minesList.length === this.#_mines : minesList.length === 0,
+                     "save.mineCount", RangeError, isStarted ? this.#_mines : 0, minesList.length);
+        Board.#check(isStarted || (!isGameOver && !isGameWon), "save.neverStarted", RangeError);
+        Board.#check(!isStarted || (Number.isFinite(elapsedTime) && elapsedTime >= 0), "save.elapsedTime", RangeError);
+        Board.#check(typeof isGameOver === "boolean" && typeof isGameWon === "boolean", "save.status");
+        Board.#check(!(isGameOver && isGameWon), "save.lostAndWon", RangeError);
+        Board.#check(Array.isArray(cells) && cells.length === this.#_rows, "save.rows", RangeError);
+
+        let positions = new Set();
+        for (let position of minesList) {
+            Board.#check(Array.isArray(position) && position.length === 2, "save.minePosition");
+
+            let [row, col] = position;
+            Board.#check(this.#isOnBoard(row, col), "save.mineOutside", RangeError, row, col);
+            Board.#check(!positions.has(`${ row },${ col }`), "save.duplicateMine", RangeError, row, col);
+            positions.add(`${ row },${ col }`);
+        }
+
+        // Saves of lost games written before lives existed have no exploded mines
+        let exploded = data.exploded ?? [];
+        let explodedPositions = new Set();
+        Board.#check(Array.isArray(exploded), "save.exploded");
+        Board.#check(isGameOver ? exploded.length <= this.#_lives : exploded.length < this.#_lives,
+                     "save.explodedCount", RangeError, exploded.length, this.#_lives);
+        for (let position of exploded) {
+            Board.#check(Array.isArray(position) && position.length === 2, "save.explodedPosition");
+
+            let [row, col] = position;
+            Board.#check(positions.has(`${ row },${ col }`), "save.explodedNotMine", RangeError, row, col);
+            Board.#check(!explodedPositions.has(`${ row },${ col }`), "save.duplicateExploded", RangeError, row, col);
+            explodedPositions.add(`${ row },${ col }`);
+        }
+
+        this.reset();
+        this.#_gameSeed = gameSeed ?? null;
+        this.#_isGuessFree = data.isGuessFree ?? false;
+        this.#loadMines(minesList);
+
+        for (let row = 0; row < this.#_rows; row++) {
+            Board.#check(Array.isArray(cells[row]) && cells[row].length === this.#_cols,
+                         "save.cols", RangeError, row);
+
+            for (let col = 0; col < this.#_cols; col++) {
+                let saved = cells[row][col];
+                let state = this.#_cells[row][col].state;
+
+                Board.#check(saved !== null && typeof saved === "object", "save.cell", TypeError, row, col);
+                Board.#check(saved.mine === state.isMine, "save.cellMine", RangeError, row, col);
+                Board.#check(saved.adjacentMines === state.adjacentMines,
+                             "save.adjacentMines", RangeError, row, col);
+                Board.#check(typeof saved.opened === "boolean" && typeof saved.flagged === "boolean",
+                             "save.cellFlags", TypeError, row, col);
+                Board.#check(!(saved.opened && saved.flagged && !(saved.mine && isGameOver)),
+                             "save.openedFlagged", RangeError, row, col);
+                Board.#check(isStarted || !(saved.opened || saved.flagged), "save.changedBeforeStart", RangeError);
+                let isExploded = explodedPositions.has(`${ row },${ col }`);
+                Board.#check(!(saved.opened && saved.mine && !isGameOver && !isExploded),
+                             "save.mineOpened", RangeError, row, col);
+                Board.#check(!isExploded || (saved.opened && !saved.flagged),
+                             "save.explodedNotOpened", RangeError, row, col);
+
+                state.isFlagged = saved.flagged;
+                if (saved.opened) { state.isOpened = true; }
+                if (isExploded) { state.isExploded = true; }
+                if (saved.flagged) { this.#_flags++; }
+                if (saved.opened && !saved.mine) { this.#_openedCells++; }
+            }
+        }
+
+        Board.#check(flags === this.#_flags, "save.flags", RangeError, this.#_flags, flags);
+        Board.#check(openedCells === this.#_openedCells,
+                     "save.openedCells", RangeError, this.#_openedCells, openedCells);
+        Board.#check(isGameWon === (this.#_openedCells === (this.#_rows * this.#_cols) - this.#_mines),
+                     "save.wonStatus", RangeError);
+
+        if (isGameOver) { this.#openAllMines(); }
+
+        this.#_explodedMines = exploded.map(([row, col]) => [row, col]);
+        this.#_isGameOver = isGameOver;
+        this.#_isGameWon = isGameWon;
+
+        if (isStarted) {
+            let now = Date.now();
+            this.#_startTime = new Date(now - elapsedTime);
+            this.#_endTime = isGameOver || isGameWon ? new Date(now) : null;
+        }
+
+        this.#restoreMoves(data);
+    }
+
+    // Restore the move history, replaying it must lead to the saved board
+    #restoreMoves({ moves = [], isAssisted = false, isImported = false, undos = 0, hints = 0, clicks = null }) {
+        let actions = ["open", "flag", "chord"];
+
+        Board.#check(Array.isArray(moves), "save.moves");
+        Board.#check(typeof isAssisted === "boolean", "save.assisted");
+        Board.#check(typeof isImported === "boolean", "save.imported");
+        Board.#check(Number.isInteger(undos) && undos >= 0, "save.undos", RangeError);
+        Board.#check(!(undos > 0 && !isAssisted), "save.undosUnassisted", RangeError);
+        Board.#check(Number.isInteger(hints) && hints >= 0, "save.hints", RangeError);
+
+        moves.forEach((move, index) => {
+            Board.#check(move !== null && typeof move === "object", "save.move", TypeError, index);
+            Board.#check(index === 0 ? move.action === "start" : actions.includes(move.action),
+                         "save.moveAction", RangeError, index, move.action);
+            Board.#check(this.#isOnBoard(move.row, move.col), "save.moveOutside", RangeError, index);
+            Board.#check(Number.isFinite(move.time), "save.moveTime", TypeError, index);
+        });
+
+        this.#_moves = moves.map(({ action, row, col, time }) => ({ action, row, col, time }));
+        this.#_isAssisted = isAssisted;
+        this.#_isImported = isImported;
+        this.#_undos = undos;
+        this.#_hints = hints;
+        this.#restoreClicks(clicks, moves);
+
+        if (moves.length === 0) { return; }
+
+        let replayed = null;
+        for (let { board } of this.replay()) { replayed = board; }
+
+        let cells = ({ cells }) => JSON.stringify(cells);
+        Board.#check(cells(replayed.toJSON()) === cells(this.toJSON()), "save.movesMismatch", RangeError);
+    }
+
+    // Restore the click counts, saves without them get one click per move and no wasted click
+    #restoreClicks(clicks, moves) {
+        if (clicks === null) {
+            moves.slice(1).forEach(({ action }) => this.#_clicks[Board.#_clickButtons[action]]++);
+            return;
+        }
+
+        Board.#check(typeof clicks === "object", "save.clicks");
+        for (let button of Object.keys(this.#_clicks)) {
+            Board.#check(Number.isInteger(clicks[button]) && clicks[button] >= 0, "save.clickCount", RangeError, button);
+            this.#_clicks[button] = clicks[button];
+        }
+        Board.#check(clicks.wasted <= clicks.left + clicks.right + clicks.chord, "save.wastedClicks", RangeError);
+    }
+
+    // Export the board to the text format, one line per row and one character per cell
+    // Layout: "*" mine, "." safe cell, "F" flagged mine, "f" wrongly flagged safe cell, a digit opened cell
+    // Player view (options.playerView): "#" unopened cell, "F" flag, a digit opened cell,
+    // "*" exploded mine or mine shown when the game is lost
+    toText(options = {}) {
+        let playerView = options.playerView ?? false;
+        if (!playerView && this.#_startTime === null) { throw new RangeError(i18n.t("board.notStarted")); }
+
+        let lines = this.#_cells.map((cellsRow) => cellsRow.map(({ state }) => {
+            if (state.isFlagged) { return playerView || state.isMine ? "F" : "f"; }
+            if (state.isMine) { return playerView && !state.isOpened ? "#" : "*"; }
+            if (state.isOpened) { return `${ state.adjacentMines }`; }
+            return playerView ? "#" : ".";
+        }).join(""));
+
+        return lines.join("\n") + "\n";
+    }
+
+    // Create a started board from a text layout written by toText, "o" also marks an opened cell
+    // Opened cells are opened and flags placed as moves of the game, so the board can be saved, replayed and undone
+    // An opened empty cell opens the cells around it as a click does, so a puzzle can mark only its start cell
+    // options: the Board options, the size and mine count come from the layout
+    static fromText(text, options = {}) {
+        Board.#checkLayout(typeof text === "string", "layout.notString", TypeError);
+
+        let lines = text.split("\n").map((line) => line.trim()).filter((line) => line !== "");
+        Board.#checkLayout(lines.length > 0, "layout.empty");
+
+        let cols = lines[0].length;
+        let minesList = [];
+        let opened = [];
+        let flags = [];
+
+        lines.forEach((line, row) => {
+            Board.#checkLayout(line.length === cols, "layout.rowLength", RangeError, row + 1, line.length, cols);
+
+            [...line].forEach((char, col) => {
+                Board.#checkLayout(char !== "#", "layout.unknownCell", RangeError, row + 1, col + 1);
+                Board.#checkLayout(/^[*.Ffo0-8]$/.test(char), "layout.character", RangeError, char, row + 1, col + 1);
+
+                if (char === "*" || char === "F") { minesList.push([row, col]); }
+                if (char === "F" || char === "f") { flags.push([row, col]); }
+                if (char === "o" || /^\d$/.test(char)) { opened.push([row, col, char]); }
+            });
+        });
+
+        let board = new Board(Board.#layoutDifficulty(lines.length, cols, minesList.length), options);
+        board.#importLayout(minesList, opened, flags);
+        return board;
+    }
+
+    // Export the mine layout to the .mbf binary format: columns, rows, the mine count on 2 bytes,
+    // then the column and row of every mine, one byte each
+    toMbf() {
+        if (this.#_startTime === null) { throw new RangeError(i18n.t("board.notStarted")); }
+        if (this.#_rows > 255 || this.#_cols > 255) { throw new RangeError(i18n.t("layout.mbfTooLarge")); }
+
+        let bytes = new Uint8Array(4 + this.#_minesList.length * 2);
+        bytes[0] = this.#_cols;
+        bytes[1] = this.#_rows;
+        bytes[2] = this.#_minesList.length >> 8;
+        bytes[3] = this.#_minesList.length & 0xff;
+
+        this.#_minesList.forEach(([row, col], index) => {
+            bytes[4 + index * 2] = col;
+            bytes[5 + index * 2] = row;
+        });
+        return bytes;
+    }
+
+    // Create a started board from .mbf bytes (a Uint8Array or a Node Buffer), no cell is opened
+    static fromMbf(bytes, options = {}) {
+        Board.#checkLayout(bytes instanceof Uint8Array, "layout.mbfType", TypeError);
+        Board.#checkLayout(bytes.length >= 4, "layout.mbfShort");
+
+        let cols = bytes[0];
+        let rows = bytes[1];
+        let mines = (bytes[2] << 8) | bytes[3];
+        Board.#checkLayout(bytes.length === 4 + mines * 2, "layout.mbfLength", RangeError, 4 + mines * 2, mines, bytes.length);
+
+        let minesList = [];
+        let positions = new Set();
+
+        for (let index = 0; index < mines; index++) {
+            let col = bytes[4 + index * 2];
+            let row = bytes[5 + index * 2];
+
+            Board.#checkLayout(row < rows && col < cols, "layout.mineOutside", RangeError, row + 1, col + 1);
+            Board.#checkLayout(!positions.has(row * cols + col), "layout.duplicateMine", RangeError, row + 1, col + 1);
+            positions.add(row * cols + col);
+            minesList.push([row, col]);
+        }
+
+        let board = new Board(Board.#layoutDifficulty(rows, cols, mines), options);
+        board.#importLayout(minesList, [], []);
+        return board;
+    }
+
+    // Return the custom difficulty of an imported layout, it follows the limits of Difficulty.custom
+    static #layoutDifficulty(rows, cols, mines) {
+        try {
+            return Difficulty.custom(rows, cols, mines);
+        } catch (error) {
+            throw new RangeError(i18n.t("layout.invalid", error.message));
+        }
+    }
+
+    // Start the game with an imported mine layout instead of placing the mines, the game is marked as imported
+    // opened: [row, col, char] of the opened cells, a digit must match the adjacent mines of the cell
+    // The flood fill of an opened empty cell may open cells the layout does not mark
+    #importLayout(minesList, opened, flags) {
+        this.#loadMines(minesList);
+        this.#_isImported = true;
+
+        let [startRow, startCol] = opened[0] ?? [0, 0];
+        this.#_startTime = new Date();
+        this.#_moves.push({ action: "start", row: startRow, col: startCol, time: this.#_startTime.getTime() });
+
+        // Flags first, the flood fill of an opened empty cell stops at flagged cells as it does while playing
+        flags.forEach(([row, col]) => {
+            this.#recordMove("flag", row, col);
+            this.#toggleFlag(row, col);
+        });
+
+        for (let [row, col, char] of opened) {
+            let state = this.#_cells[row][col].state;
+
+            Board.#checkLayout(char === "o" || Number(char) === state.adjacentMines,
+                               "layout.adjacentMines", RangeError, row + 1, col + 1, char, state.adjacentMines);
+            if (state.isOpened) { continue; }
+
+            this.#recordMove("open", row, col);
+            this.#openCell(row, col);
+        }
+    }
+
+    // Check if a position is a cell on the board
+    #isOnBoard(row, col) {
+        return Number.isInteger(row) && row >= 0 && row < this.#_rows && Number.isInteger(col) && col >= 0 && col < this.#_cols;
+    }
+
+    // Throw a clear error for an invalid saved game
+    // key: message key of the problem, formatted with args only when the check fails
+    static #check(condition, key, ErrorType = TypeError, ...args) {
+        if (!condition) { throw new ErrorType(i18n.t("save.invalid", i18n.t(key, ...args))); }
+    }
+
+    // Throw a clear error for an invalid imported layout
+    static #checkLayout(condition, key, ErrorType = RangeError, ...args) {
+        if (!condition) { throw new ErrorType(i18n.t("layout.invalid", i18n.t(key, ...args))); }
+    }
+
+    // Draw the board with a renderer, the active renderer by default
+    // highlight: optional [row, col] of a cell shown in brackets
+    toString(highlight = null, renderer = Board.renderer) {
+        return renderer.render(this.getGameBoard(), highlight, this.#_topology);
+    }
+}
+
+// Export for Node, or as a global of the browser page
+if (typeof module === "object") {
+    module.exports = { Random, Difficulty, Topology, FirstClick, CellState, Cell, Solver, Board };
+} else {
+    globalThis.MinesweeperEngine = { Random, Difficulty, Topology, FirstClick, CellState, Cell, Solver, Board };
+}
@@ -0,0 +1,71 @@
+// Message catalogs of the game text, one catalog per locale in minesweeper/locales
+// A message is looked up by key and its {0}, {1}... placeholders are replaced by the arguments
+// Like engine.js, this module also runs in a browser, where the locale scripts are loaded before it (see web/index.html)
+
+const LOCALES = typeof module === "object" ? { en: require("./locales/en"), fr: require("./locales/fr") } :
+                                             globalThis.MinesweeperLocales;
+
+// Locale used when no locale is chosen, or when the chosen locale has no catalog
+const DEFAULT_LOCALE = "en";
+
+// Messages of one locale, a key missing from its catalog falls back to English, then to the key itself
+class Messages {
+    static #_current = null;
+
+    #_locale;
+    #_catalog;
+
+    constructor(locale = DEFAULT_LOCALE) {
+        if (LOCALES[locale] === undefined) {
+            throw new RangeError(`Unknown locale "${ locale }", expected one of: ${ Object.keys(LOCALES).join(", ") }`);
+        }
+        this.#_locale = locale;
+        this.#_catalog = LOCALES[locale];
+    }
+
+    get locale() { return this.#_locale; }
+
+    // Messages used by the game, English until another locale is chosen
+    static get current() {
+        Messages.#_current ??= new Messages();
+        return Messages.#_current;
+    }
+
+    static set current(messages) {
+        if (!(messages instanceof Messages)) { throw new TypeError("The messages must be Messages"); }
+        Messages.#_current = messages;
+    }
+
+    // Return the message of a key with its placeholders replaced, {0} is the first argument
+    format(key, ...args) {
+        let template = this.#_catalog[key] ?? LOCALES[DEFAULT_LOCALE][key] ?? key;
+        return Messages.#interpolate(template, ...args);
+    }
+
+    static #interpolate = (template, ...args) => template.replace(/{(\d+)}/g, (match, index) => args[index] ?? match);
+}
+
+// Format a message of the current locale
+function t(key, ...args) { return Messages.current.format(key, ...args); }
+
+// Choose the locale from the --lang option (e.g. --lang fr or --lang=fr), else from the LANG environment variable
+// LANG values like fr_FR.UTF-8 give their language, a locale without a catalog falls back to English
+function selectLocale(argv, env) {
+    let lang = env.LANG ?? "";
+    let index = argv.findIndex((arg) => arg === "--lang" || arg.startsWith("--lang="));
+
+    if (index !== -1) {
+        let arg = argv[index];
+        lang = arg === "--lang" ? argv[index + 1] ?? "" : arg.slice("--lang=".length);
+    }
+
+    let locale = lang.split(/[_.@-]/)[0].toLowerCase();
+    return LOCALES[locale] === undefined ? DEFAULT_LOCALE : locale;
+}
+
+// Export for Node, or as a global of the browser page
+if (typeof module === "object") {
+    module.exports = { LOCALES, DEFAULT_LOCALE, Messages, t, selectLocale };
+} else {
+    globalThis.MinesweeperI18n = { LOCALES, DEFAULT_LOCALE, Messages, t, selectLocale };
+}
@@ -0,0 +1,206 @@
+// Cursor driven keyboard interface for the Minesweeper game
+// The terminal is put in raw mode, keys move a highlighted cursor over the board and act on the cell under it
+
+const readline = require("readline");
+const { t } = require("./i18n");
+const { Difficulty } = require("./engine");
+
+// Terminal control sequences
+const CLEAR_SCREEN = "\x1b[2J\x1b[H";
+const CURSOR_HOME = "\x1b[H";
+const CLEAR_LINE = "\x1b[K";
+const CLEAR_BELOW = "\x1b[J";
+const HIDE_CURSOR = "\x1b[?25l";
+const SHOW_CURSOR = "\x1b[?25h";
+
+// Cursor moves for the arrow keys and their vi equivalents
+const MOVES = {
+    up:    [-1, 0],
+    k:     [-1, 0],
+    down:  [1, 0],
+    j:     [1, 0],
+    left:  [0, -1],
+    h:     [0, -1],
+    right: [0, 1],
+    l:     [0, 1]
+};
+
+class KeyboardGame {
+    #_board;
+    #_save;
+    #_input;
+    #_output;
+    #_row;
+    #_col;
+    #_message;
+    #_timer;
+    #_resolve;
+    #_onKeypress;
+
+    // options.save: function saving the board and returning a status message
+    constructor(board, options = {}) {
+        this.#_board = board;
+        this.#_save = options.save ?? null;
+        this.#_input = options.input ?? process.stdin;
+        this.#_output = options.output ?? process.stdout;
+        this.#_row = Math.floor(board.rows / 2);
+        this.#_col = Math.floor(board.cols / 2);
+        this.#_message = "";
+    }
+
+    // Play until the game is won, lost or the player quits
+    // Resolve with { board, finished, quit }: finished when the game ended while playing, quit when it was left unfinished
+    play() {
+        let status = this.#_board.getGameInfo().status;
+        if (status.isGameOver || status.isGameWon) {
+            return Promise.resolve({ board: this.#_board, finished: false, quit: false });
+        }
+
+        return new Promise((resolve) => {
+            this.#_resolve = resolve;
+            this.#_onKeypress = (text, key) => this.#handleKey(text, key ?? {});
+
+            readline.emitKeypressEvents(this.#_input);
+            this.#_input.setRawMode(true);
+            this.#_input.on("keypress", this.#_onKeypress);
+            this.#_input.resume();
+
+            this.#_output.write(CLEAR_SCREEN + HIDE_CURSOR);
+            this.#_timer = setInterval(() => this.#render(), 1000);
+            this.#render();
+        });
+    }
+
+    #handleKey(text, key) {
+        let name = key.name ?? text;
+        let status = this.#_board.getGameInfo().status;
+
+        if (name === "q" || (key.ctrl && name === "c")) {
+            this.#finish(true);
+            return;
+        }
+
+        // A lost practice game can take back the move that opened the mine
+        if (status.isGameOver) {
+            if (name === "u" && this.#_board.undo()) {
+                this.#_message = t("game.undone");
+                this.#render();
+            } else {
+                this.#finish(false);
+            }
+            return;
+        }
+
+        this.#_message = "";
+
+        if (MOVES[name] !== undefined) {
+            let [dirRow, dirCol] = MOVES[name];
+            this.#_row = Math.min(Math.max(this.#_row + dirRow, 0), this.#_board.rows - 1);
+            this.#_col = Math.min(Math.max(this.#_col + dirCol, 0), this.#_board.cols - 1);
+        } else {
+            this.#handleAction(name, status);
+        }
+
+        status = this.#_board.getGameInfo().status;
+        if (status.isGameWon || (status.isGameOver && !this.#_board.practice)) {
+            this.#render();
+            this.#finish(false);
+            return;
+        }
+
+        if (status.isGameOver) { this.#_message = t("keyboard.undoMine"); }
+        this.#render();
+    }
+
+    #handleAction(name, status) {
+        let board = this.#_board;
+
+        switch (name) {
+            case "space":
+            case "return":
+            case "o":
+                if (!status.isGameStarted) { board.startGame(this.#_row, this.#_col); }
+                board.openCell(this.#_row, this.#_col);
+                break;
+            case "f":
+                if (!status.isGameStarted) {
+                    this.#_message = t("game.openToStart");
+                    break;
+                }
+                board.toggleFlag(this.#_row, this.#_col);
+                break;
+            case "c":
+                board.chordCell(this.#_row, this.#_col);
+                break;
+            case "?":
+                this.#showHint(status);
+                break;
+            case "u":
+                if (!board.practice) {
+                    this.#_message = t("game.undoUnavailable");
+                    break;
+                }
+                this.#_message = board.undo() ? t("game.undone") : t("game.nothingToUndo");
+                break;
+            case "s":
+                this.#_message = this.#_save === null ? t("keyboard.saveUnavailable") : this.#_save(board);
+                break;
+            default:
+                this.#_message = t("keyboard.help");
+        }
+    }
+
+    // Move the cursor to a cell proven safe or a proven mine
+    #showHint(status) {
+        if (!status.isGameStarted) {
+            this.#_message = this.#_board.firstClick.isSafe ? t("hint.startSafe") : t("hint.start");
+            return;
+        }
+
+        let hint = this.#_board.hint();
+        if (hint === null) {
+            this.#_message = t("hint.guess");
+            return;
+        }
+
+        this.#_row = hint.row;
+        this.#_col = hint.col;
+        this.#_message = hint.isMine ? t("keyboard.hintMine") : t("keyboard.hintSafe");
+    }
+
+    // Redraw the screen in place
+    #render() {
+        let info = this.#_board.getGameInfo();
+        let status = info.status.isGameOver ? t("status.over") : (info.status.isGameWon ? t("status.won") : t("status.playing"));
+        let lives = info.stats.lives > 1 ? `${ t("keyboard.lives", info.stats.lives - info.stats.livesUsed) } | ` : "";
+        let cursor = t("keyboard.cursor", this.#_row + 1, this.#_col + 1);
+        let lines = [
+            `${ Difficulty.label(info.difficulty) } | ${ t("keyboard.mines", info.stats.remainingMines) } | ${ lives }` +
+            `${ t("keyboard.time", info.stats.gameTimeInSecond) } | ${ cursor } | ${ status }`,
+            "",
+            this.#_board.toString([this.#_row, this.#_col]),
+            "",
+            this.#_message === "" ? t("keyboard.help") : this.#_message
+        ];
+
+        this.#_output.write(CURSOR_HOME + lines.join("\n").split("\n").join(`${ CLEAR_LINE }\n`) + CLEAR_LINE + CLEAR_BELOW);
+    }
+
+    // Restore the terminal and resolve the game
+    #finish(quit) {
+        clearInterval(this.#_timer);
+        this.#_input.removeListener("keypress", this.#_onKeypress);
+        this.#_input.setRawMode(false);
+        this.#_input.pause();
+        this.#_output.write(SHOW_CURSOR);
+
+        this.#_resolve({ board: this.#_board, finished: !quit, quit: quit });
+    }
+}
+
+// Play a game with the keyboard interface, stdin must be a TTY
+function playWithKeyboard(board, options = {}) {
+    return new KeyboardGame(board, options).play();
+}
+
+module.exports = { KeyboardGame, playWithKeyboard };
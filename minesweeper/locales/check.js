@@ -0,0 +1,101 @@
+// Check the message catalogs: every catalog must have the keys of the English catalog, with the same placeholders,
+// and every message key used by the sources must be in the English catalog
+// Usage: node minesweeper/locales/check.js
+//
+// Keys built at run time, like "command.<name>", are checked from the lists of commands, difficulties and first click policies,
+// and from the cell states the browser page describes without a symbol
+
+const fs = require("fs");
+const path = require("path");
+const { LOCALES, DEFAULT_LOCALE } = require("../i18n");
+const { Difficulty, FirstClick } = require("../engine");
+const { COMMANDS } = require("../commands");
+
+const ROOT = path.join(__dirname, "..", "..");
+
+// Return the placeholders of a message as sorted text, e.g. "{0} {1}"
+function placeholders(message) {
+    return [...new Set(message.match(/{\d+}/g) ?? [])].sort().join(" ");
+}
+
+// Compare every catalog with the reference catalog and return the problems found
+function checkCatalogs(locales = LOCALES, referenceLocale = DEFAULT_LOCALE) {
+    let reference = locales[referenceLocale];
+    let problems = [];
+
+    for (let [locale, catalog] of Object.entries(locales)) {
+        if (locale === referenceLocale) { continue; }
+
+        for (let [key, message] of Object.entries(reference)) {
+            if (!Object.hasOwn(catalog, key)) {
+                problems.push(`${ locale }: missing key "${ key }"`);
+            } else if (placeholders(catalog[key]) !== placeholders(message)) {
+                problems.push(`${ locale }: "${ key }" has placeholders "${ placeholders(catalog[key]) }", ` +
+                              `expected "${ placeholders(message) }"`);
+            }
+        }
+        for (let key of Object.keys(catalog)) {
+            if (!Object.hasOwn(reference, key)) { problems.push(`${ locale }: unknown key "${ key }"`); }
+        }
+    }
+    return problems;
+}
+
+// Return the problems of the message keys used by source files, a key is a string like "game.undone"
+// whose part before the dot is a group of the reference catalog, comment lines are skipped
+function checkSources(files, reference = LOCALES[DEFAULT_LOCALE]) {
+    let groups = new Set(Object.keys(reference).map((key) => key.split(".")[0]));
+    let problems = [];
+
+    for (let file of files) {
+        fs.readFileSync(file, "utf8").split("\n").forEach((line, index) => {
+            if (line.trim().startsWith("//")) { return; }
+
+            for (let [, key, group] of line.matchAll(/"(([a-z]+)\.[a-zA-Z]+)"/g)) {
+                if (groups.has(group) && !Object.hasOwn(reference, key)) {
+                    problems.push(`${ path.relative(ROOT, file) }:${ index + 1 }: unknown message key "${ key }"`);
+                }
+            }
+        });
+    }
+    return problems;
+}
+
+// Return the problems of the keys built at run time from names
+function checkNamedKeys(reference = LOCALES[DEFAULT_LOCALE]) {
+    let keys = [
+        ...COMMANDS.map(({ name }) => `command.${ name }`),
+        ...FirstClick.POLICIES.map(({ name }) => `firstClick.${ name }`),
+        ...[Difficulty.BEGINNER, Difficulty.INTERMEDIATE, Difficulty.EXPERT].map(({ name }) => `difficulty.${ name.toLowerCase() }`),
+        "difficulty.custom",
+        "web.unopened",
+        "web.empty"
+    ];
+    return keys.filter((key) => !Object.hasOwn(reference, key)).map((key) => `missing key "${ key }"`);
+}
+
+// Return the game source files and the browser page with its script, the catalogs themselves are left out
+// The keys of the page are its data-message attributes, e.g. data-message="web.title"
+function sourceFiles() {
+    let directory = path.join(ROOT, "minesweeper");
+    let files = fs.readdirSync(directory).filter((file) => file.endsWith(".js")).map((file) => path.join(directory, file));
+    let page = ["app.js", "index.html"].map((file) => path.join(directory, "web", file));
+    return [path.join(ROOT, "minesweeper.js"), ...files, ...page];
+}
+
+function main() {
+    let problems = [...checkCatalogs(), ...checkSources(sourceFiles()), ...checkNamedKeys()];
+
+    if (problems.length > 0) {
+        problems.forEach((problem) => console.error(problem));
+        process.exitCode = 1;
+        return;
+    }
+
+    let keys = Object.keys(LOCALES[DEFAULT_LOCALE]).length;
+    console.log(`${ Object.keys(LOCALES).join(", ") }: all catalogs have the ${ keys } keys of the ${ DEFAULT_LOCALE } catalog`);
+}
+
+if (require.main === module) { main(); }
+
+module.exports = { checkCatalogs, checkSources, checkNamedKeys };
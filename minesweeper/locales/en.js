@@ -0,0 +1,297 @@
+// English messages, the reference catalog: every other catalog must have the same keys
+// {0}, {1}... are replaced by the arguments of the message, see minesweeper/i18n.js
+
+const MESSAGES_EN = {
+    // Answers to the questions of the prompts
+    "answer.yes":   "y",
+    "answer.stop":  "q",
+    "answer.reset": "r",
+
+    // Difficulty levels
+    "difficulty.beginner":     "Beginner",
+    "difficulty.intermediate": "Intermediate",
+    "difficulty.expert":       "Expert",
+    "difficulty.custom":       "Custom",
+    "difficulty.rows":         "Rows",
+    "difficulty.cols":         "Columns",
+    "difficulty.mines":        "Mines",
+    "difficulty.range":        "{0} must be a whole number between {1} and {2}",
+
+    // Topologies, first click policies and themes
+    "topology.unknown":   "Unknown topology \"{0}\", expected square, torus or hex",
+    "firstClick.none":    "No protection, the first cell can be a mine",
+    "firstClick.safe":    "Safe cell only",
+    "firstClick.opening": "Safe cell and all its adjacent cells, a guaranteed opening",
+    "firstClick.random":  "Safe cell and a random number of its adjacent cells",
+    "firstClick.unknown": "Unknown first click policy \"{0}\", expected none, safe, opening or random",
+    "theme.unknown":      "Unknown theme \"{0}\", expected one of: {1}",
+
+    // Board errors
+    "board.topologyType":    "The topology must be a Topology",
+    "board.firstClickType":  "The first click policy must be a FirstClick",
+    "board.lives":           "The number of lives must be a whole number, 1 or more",
+    "board.rendererType":    "The renderer must be a Renderer",
+    "board.unknownEvent":    "Unknown event \"{0}\", expected one of: {1}",
+    "board.listenerType":    "The listener must be a function",
+    "board.invalidCell":     "Invalid cell position: row: {0}, col: {1}",
+    "board.notEnoughCells":  "Not enough cells to place {0} mines: {1} cells available",
+    "board.undoUnavailable": "Undo is only available in practice mode",
+    "board.notStarted":      "The game is not started, there is no mine layout yet",
+
+    // Saved game errors, row and column positions start from 0
+    "save.invalid":             "Invalid saved game: {0}",
+    "save.notObject":           "not an object",
+    "save.version":             "unsupported version {0}",
+    "save.seed":                "invalid seed",
+    "save.practice":            "invalid practice mode",
+    "save.noGuess":             "invalid no-guess mode",
+    "save.guessFree":           "invalid guess free status",
+    "save.guessFreeMode":       "guess free board without no-guess mode",
+    "save.lives":               "invalid number of lives",
+    "save.difficulty":          "missing difficulty",
+    "save.unknownDifficulty":   "unknown difficulty {0}",
+    "save.boardSize":           "{0} board size does not match",
+    "save.minesList":           "missing mines list",
+    "save.mineCount":           "expected {0} mines, found {1}",
+    "save.neverStarted":        "finished game was never started",
+    "save.elapsedTime":         "invalid elapsed time",
+    "save.status":              "invalid game status",
+    "save.lostAndWon":          "game is both lost and won",
+    "save.rows":                "cells do not match the board rows",
+    "save.cols":                "cells do not match the board columns in row {0}",
+    "save.minePosition":        "invalid mine position",
+    "save.mineOutside":         "mine outside the board: {0}, {1}",
+    "save.duplicateMine":       "duplicate mine: {0}, {1}",
+    "save.exploded":            "invalid exploded mines",
+    "save.explodedCount":       "{0} exploded mines with {1} lives",
+    "save.explodedPosition":    "invalid exploded mine position",
+    "save.explodedNotMine":     "exploded cell is not a mine: {0}, {1}",
+    "save.duplicateExploded":   "duplicate exploded mine: {0}, {1}",
+    "save.cell":                "invalid cell {0}, {1}",
+    "save.cellMine":            "mine does not match the mines list: {0}, {1}",
+    "save.adjacentMines":       "wrong adjacent mines: {0}, {1}",
+    "save.cellFlags":           "invalid cell flags: {0}, {1}",
+    "save.openedFlagged":       "opened cell is flagged: {0}, {1}",
+    "save.changedBeforeStart":  "cells changed before the game started",
+    "save.mineOpened":          "mine opened in a running game: {0}, {1}",
+    "save.explodedNotOpened":   "exploded mine not opened: {0}, {1}",
+    "save.flags":               "expected {0} flags, found {1}",
+    "save.openedCells":         "expected {0} opened cells, found {1}",
+    "save.wonStatus":           "game won status does not match the opened cells",
+    "save.moves":               "invalid move history",
+    "save.assisted":            "invalid assisted status",
+    "save.imported":            "invalid imported status",
+    "save.undos":               "invalid undo count",
+    "save.undosUnassisted":     "undone moves in an unassisted game",
+    "save.hints":               "invalid hint count",
+    "save.move":                "invalid move {0}",
+    "save.moveAction":          "invalid action in move {0}: {1}",
+    "save.moveOutside":         "move {0} outside the board",
+    "save.moveTime":            "invalid time in move {0}",
+    "save.movesMismatch":       "move history does not match the board",
+    "save.clicks":              "invalid click counts",
+    "save.clickCount":          "invalid {0} click count",
+    "save.wastedClicks":        "more wasted clicks than clicks",
+
+    // Board layout errors, row and column positions start from 1
+    "layout.invalid":       "Invalid board layout: {0}",
+    "layout.notString":     "the layout must be a string",
+    "layout.empty":         "empty layout",
+    "layout.rowLength":     "row {0} has {1} cells, expected {2}",
+    "layout.unknownCell":   "unknown cell at row {0}, column {1}, a player view cannot be imported",
+    "layout.character":     "invalid character \"{0}\" at row {1}, column {2}",
+    "layout.mbfTooLarge":   "The .mbf format is limited to 255 rows and columns",
+    "layout.mbfType":       "the .mbf data must be bytes",
+    "layout.mbfShort":      "the .mbf data is too short",
+    "layout.mbfLength":     "expected {0} bytes for {1} mines, found {2}",
+    "layout.mineOutside":   "mine outside the board: row {0}, column {1}",
+    "layout.duplicateMine": "duplicate mine: row {0}, column {1}",
+    "layout.adjacentMines": "row {0}, column {1} shows {2} but has {3} adjacent mines",
+
+    // Main menu
+    "menu.welcome":          "Welcome to Minesweeper Game",
+    "menu.chooseDifficulty": "Choose a difficulty level:",
+    "menu.daily":            "Daily Challenge",
+    "menu.load":             "Load saved game",
+    "menu.statistics":       "Statistics",
+    "menu.exit":             "Exit",
+    "menu.choice":           "Enter your choice: ",
+    "menu.invalidChoice":    "Invalid choice. Please try again.",
+    "menu.exiting":          "Exiting Minesweeper Game...",
+
+    // Questions of a new game
+    "prompt.seed":               "Enter a seed (leave blank for random): ",
+    "prompt.topology":           "Board topology: square, torus or hex (leave blank for square): ",
+    "prompt.firstClickPolicies": "First click policies:",
+    "prompt.firstClick":         "First click policy (leave blank for random): ",
+    "prompt.lives":              "Number of lives, a mine costs one life (leave blank for 1): ",
+    "prompt.noGuess":            "No-guess board? (Y/N): ",
+    "prompt.practice":           "Practice mode with undo? (Y/N): ",
+    "prompt.rows":               "Enter number of rows ({0}-{1}): ",
+    "prompt.cols":               "Enter number of columns ({0}-{1}): ",
+    "prompt.mines":              "Enter number of mines ({0}-{1}): ",
+    "prompt.file":               "Enter file name (leave blank for {0}): ",
+    "prompt.tryAgain":           "{0}. Please try again.",
+    "prompt.continue":           "Press Enter to continue: ",
+
+    // Game information
+    "info.difficulty":     "Difficulty: {0}",
+    "info.difficultySize": "Difficulty: {0} ({1}x{2}, {3} mines)",
+    "info.topology":       "Topology: {0}",
+    "info.firstClick":     "First Click: {0}",
+    "info.seed":           "Seed: {0}",
+    "info.seedPending":    "chosen when the first cell is opened",
+    "info.board":          "Board: {0}",
+    "info.guessFree":      "No guessing required",
+    "info.guessNotFound":  "No-guess layout not found, guessing may be required",
+    "info.mode":           "Mode: {0}",
+    "info.practice":       "Practice",
+    "info.assisted":       "Practice (assisted, {0} undos)",
+    "info.status":         "Game Status: {0}",
+    "info.time":           "Game Time: {0} seconds",
+    "info.openedCells":    "Opened Cells: {0}",
+    "info.remainingMines": "Remaining Mines: {0}",
+    "info.flags":          "Flags: {0}",
+    "info.cells":          "Opened Cells: {0}, Flags: {1}, Remaining Mines: {2}",
+    "info.moves":          "Moves: {0}, Hints: {1}, Undos: {2}",
+    "info.lives":          "Lives: {0}",
+    "info.livesLeft":      "{0} of {1} left",
+    "info.hints":          "Hints: {0}",
+    "info.clicks":         "Clicks: {0}",
+    "info.clickCounts":    "{0} (left {1}, right {2}, chord {3}, wasted {4})",
+    "info.bbbv":           "3BV: {0}",
+    "info.bbbvPerSecond":  "3BV/s: {0}",
+    "info.efficiency":     "Efficiency: {0}%",
+
+    "status.over":    "Game Over",
+    "status.won":     "Game Won",
+    "status.playing": "In Progress",
+
+    // Playing a game
+    "game.commandsHelp":    "Type \"help\" for the list of commands, e.g. \"o 3 5\" opens row 3, column 5.",
+    "game.outside":         "Cell {0} {1} is outside the board, rows are 1-{2} and columns 1-{3}.",
+    "game.openToStart":     "Open a cell to start the game.",
+    "game.boom":            "Boom! You opened a mine, {0}.",
+    "game.undoUnavailable": "Undo is only available in practice mode.",
+    "game.undone":          "Last move undone.",
+    "game.nothingToUndo":   "There is no move to undo.",
+    "game.undoMine":        "You opened a mine. Undo the last move? (Y/N): ",
+    "game.newGame":         "New game started.",
+
+    "hint.start":     "Open any cell to start.",
+    "hint.startSafe": "Open any cell to start, the first cell is always safe.",
+    "hint.guess":     "No cell can be proven safe or a mine, a guess is required.",
+    "hint.mine":      "Hint: Row {0}, column {1} is certainly a mine.",
+    "hint.safe":      "Hint: Row {0}, column {1} is certainly safe.",
+
+    "file.saved":     "Game saved to {0}.",
+    "file.saveError": "Could not save the game: {0}",
+    "file.loaded":    "Game loaded from {0}.",
+    "file.loadError": "Could not load the game from {0}: {1}",
+
+    // End of a game
+    "end.won":       "Congratulations! You won the game.",
+    "end.lost":      "Game Over! You lost the game.",
+    "end.share":     "Share your daily challenge result:",
+    "end.replay":    "Do you want to watch the replay? (Y/N): ",
+    "end.playAgain": "Do you want to play again? (Y/N): ",
+
+    "replay.start":    "Start",
+    "replay.open":     "Open",
+    "replay.flag":     "Flag",
+    "replay.chord":    "Chord",
+    "replay.moveCell": "{0} row {1}, column {2}",
+    "replay.move":     "Move {0}/{1}: {2}",
+    "replay.next":     "Press Enter for the next move (Q to stop): ",
+    "replay.end":      "End of replay. Press Enter to continue: ",
+
+    // Records and statistics
+    "records.updateError": "Could not update the records: {0}",
+    "records.bestTime":    "New best time! Enter your name (leave blank for {0}): ",
+    "records.rank":        "Your time is number {0} for {1}.",
+    "records.corrupted":   "The records file was corrupted ({0}) and has been moved to {1}",
+    "records.locked":      "The records file is locked by another game: {0}",
+    "records.format":      "unsupported records format",
+    "records.missing":     "missing records",
+    "records.invalid":     "invalid record for {0}",
+    "records.custom":      "Custom {0}x{1}, {2} mines",
+    "records.lives":       "{0} lives",
+    "records.noGuess":     "No-guess board",
+
+    "statistics.empty":        "No games have been recorded yet.",
+    "statistics.games":        "Played: {0}, Won: {1}, Win Rate: {2}",
+    "statistics.streaks":      "Current Streak: {0}, Longest Streak: {1}",
+    "statistics.seconds":      "{0} seconds",
+    "statistics.reset":        "Enter R to reset the statistics, or press Enter to continue: ",
+    "statistics.resetConfirm": "Reset all statistics? This cannot be undone (Y/N): ",
+
+    // Daily challenge share text
+    "daily.title":   "Minesweeper Daily {0}",
+    "daily.won":     "Won",
+    "daily.lost":    "Lost, {0}",
+    "daily.cleared": "{0}% cleared",
+    "daily.hint":    "{0} hint",
+    "daily.hints":   "{0} hints",
+
+    // Commands of the prompt
+    "help.title":                  "Commands, several can be separated by \";\":",
+    "command.open":                "Open a cell",
+    "command.flag":                "Flag or unflag a cell",
+    "command.chord":               "Open the neighbours of a number whose mines are all flagged",
+    "command.hint":                "Show a cell that is certainly safe or a mine",
+    "command.undo":                "Undo the last move (practice mode)",
+    "command.new":                 "Start a new game",
+    "command.save":                "Save the game, a .txt or .mbf file gets the board layout",
+    "command.load":                "Load a game from a file",
+    "command.info":                "Show the game information",
+    "command.help":                "Show this help",
+    "command.quit":                "Leave the game",
+    "command.inSequence":          "Command {0} \"{1}\": {2}",
+    "command.unknown":             "Unknown command \"{0}\". {1}",
+    "command.helpHint":            "Type \"help\" for the list of commands.",
+    "command.suggestion":          "Did you mean \"{0}\"?",
+    "command.noArguments":         "\"{0}\" takes no arguments, got \"{1}\".",
+    "command.cellArgument":        "\"{0}\" needs a row and a column, e.g. \"{1} 3 5\", got {2} argument.",
+    "command.cellArguments":       "\"{0}\" needs a row and a column, e.g. \"{1} 3 5\", got {2} arguments.",
+    "command.row":                 "Row",
+    "command.column":              "Column",
+    "command.nothing":             "nothing",
+    "command.noDifficulty":        "\"new\" needs a difficulty: beginner, intermediate, expert or custom, got {0}.",
+    "command.difficultyArguments": "\"new {0}\" takes no other arguments.",
+    "command.customArguments":     "\"new custom\" needs rows, columns and mines, e.g. \"new custom 20 30 100\".",
+    "command.wholeNumber":         "{0} must be a whole number, got \"{1}\".",
+    "command.atLeastOne":          "{0} must be 1 or more, got {1}.",
+
+    // Keyboard interface
+    "keyboard.help":            "Arrows/hjkl: move  Space/O: open  F: flag  C: chord  ?: hint  U: undo  S: save  Q: quit",
+    "keyboard.mines":           "Mines: {0}",
+    "keyboard.lives":           "Lives: {0}",
+    "keyboard.time":            "Time: {0}s",
+    "keyboard.cursor":          "Row {0}, Column {1}",
+    "keyboard.undoMine":        "You opened a mine. Press U to undo, or any other key to continue.",
+    "keyboard.saveUnavailable": "Saving is not available.",
+    "keyboard.hintMine":        "Hint: the cell under the cursor is certainly a mine.",
+    "keyboard.hintSafe":        "Hint: the cell under the cursor is certainly safe.",
+
+    // Browser page
+    "web.title":          "Minesweeper",
+    "web.difficulty":     "Difficulty",
+    "web.newGame":        "New game",
+    "web.remainingMines": "Remaining mines",
+    "web.gameTime":       "Game time",
+    "web.board":          "Minesweeper board",
+    "web.help":           "Left click: open · Right click: flag · Middle or double click: chord",
+    "web.start":          "Click any cell to start.",
+    "web.won":            "You won!",
+    "web.lost":           "Game over!",
+    "web.cell":           "Row {0}, column {1}: {2}",
+    "web.unopened":       "unopened",
+    "web.empty":          "empty"
+};
+
+// Export for Node, or add the catalog to the locales of the browser page
+if (typeof module === "object") {
+    module.exports = MESSAGES_EN;
+} else {
+    globalThis.MinesweeperLocales = { ...globalThis.MinesweeperLocales, en: MESSAGES_EN };
+}
@@ -0,0 +1,298 @@
+// French messages, with the same keys as the English catalog (see minesweeper/locales/check.js)
+// The command names and the keys of the keyboard interface stay in English, only their descriptions are translated
+
+const MESSAGES_FR = {
+    // Answers to the questions of the prompts
+    "answer.yes":   "o",
+    "answer.stop":  "q",
+    "answer.reset": "r",
+
+    // Difficulty levels
+    "difficulty.beginner":     "Débutant",
+    "difficulty.intermediate": "Intermédiaire",
+    "difficulty.expert":       "Expert",
+    "difficulty.custom":       "Personnalisé",
+    "difficulty.rows":         "Le nombre de lignes",
+    "difficulty.cols":         "Le nombre de colonnes",
+    "difficulty.mines":        "Le nombre de mines",
+    "difficulty.range":        "{0} doit être un nombre entier entre {1} et {2}",
+
+    // Topologies, first click policies and themes
+    "topology.unknown":   "Topologie « {0} » inconnue, choix possibles : square, torus ou hex",
+    "firstClick.none":    "Aucune protection, la première case peut être une mine",
+    "firstClick.safe":    "Case sûre uniquement",
+    "firstClick.opening": "Case sûre ainsi que toutes ses voisines, une ouverture garantie",
+    "firstClick.random":  "Case sûre ainsi qu'un nombre aléatoire de ses voisines",
+    "firstClick.unknown": "Règle de premier clic « {0} » inconnue, choix possibles : none, safe, opening ou random",
+    "theme.unknown":      "Thème « {0} » inconnu, choix possibles : {1}",
+
+    // Board errors
+    "board.topologyType":    "La topologie doit être une Topology",
+    "board.firstClickType":  "La règle de premier clic doit être un FirstClick",
+    "board.lives":           "Le nombre de vies doit être un nombre entier, 1 ou plus",
+    "board.rendererType":    "Le moteur de rendu doit être un Renderer",
+    "board.unknownEvent":    "Événement « {0} » inconnu, choix possibles : {1}",
+    "board.listenerType":    "L'écouteur doit être une fonction",
+    "board.invalidCell":     "Position de case invalide : ligne : {0}, colonne : {1}",
+    "board.notEnoughCells":  "Pas assez de cases pour placer {0} mines : {1} cases disponibles",
+    "board.undoUnavailable": "L'annulation n'est possible qu'en mode entraînement",
+    "board.notStarted":      "La partie n'a pas commencé, les mines ne sont pas encore placées",
+
+    // Saved game errors, row and column positions start from 0
+    "save.invalid":             "Sauvegarde invalide : {0}",
+    "save.notObject":           "ce n'est pas un objet",
+    "save.version":             "version {0} non prise en charge",
+    "save.seed":                "graine invalide",
+    "save.practice":            "mode entraînement invalide",
+    "save.noGuess":             "mode sans hasard invalide",
+    "save.guessFree":           "statut sans hasard invalide",
+    "save.guessFreeMode":       "grille sans hasard hors du mode sans hasard",
+    "save.lives":               "nombre de vies invalide",
+    "save.difficulty":          "difficulté manquante",
+    "save.unknownDifficulty":   "difficulté {0} inconnue",
+    "save.boardSize":           "la taille de la grille ne correspond pas à la difficulté {0}",
+    "save.minesList":           "liste des mines manquante",
+    "save.mineCount":           "{0} mines attendues, {1} trouvées",
+    "save.neverStarted":        "partie terminée qui n'a jamais commencé",
+    "save.elapsedTime":         "temps écoulé invalide",
+    "save.status":              "statut de la partie invalide",
+    "save.lostAndWon":          "la partie est à la fois perdue et gagnée",
+    "save.rows":                "les cases ne correspondent pas aux lignes de la grille",
+    "save.cols":                "les cases ne correspondent pas aux colonnes de la grille à la ligne {0}",
+    "save.minePosition":        "position de mine invalide",
+    "save.mineOutside":         "mine hors de la grille : {0}, {1}",
+    "save.duplicateMine":       "mine en double : {0}, {1}",
+    "save.exploded":            "mines explosées invalides",
+    "save.explodedCount":       "{0} mines explosées avec {1} vies",
+    "save.explodedPosition":    "position de mine explosée invalide",
+    "save.explodedNotMine":     "la case explosée n'est pas une mine : {0}, {1}",
+    "save.duplicateExploded":   "mine explosée en double : {0}, {1}",
+    "save.cell":                "case {0}, {1} invalide",
+    "save.cellMine":            "la mine ne correspond pas à la liste des mines : {0}, {1}",
+    "save.adjacentMines":       "nombre de mines voisines erroné : {0}, {1}",
+    "save.cellFlags":           "état de case invalide : {0}, {1}",
+    "save.openedFlagged":       "case ouverte marquée d'un drapeau : {0}, {1}",
+    "save.changedBeforeStart":  "cases modifiées avant le début de la partie",
+    "save.mineOpened":          "mine ouverte dans une partie en cours : {0}, {1}",
+    "save.explodedNotOpened":   "mine explosée non ouverte : {0}, {1}",
+    "save.flags":               "{0} drapeaux attendus, {1} trouvés",
+    "save.openedCells":         "{0} cases ouvertes attendues, {1} trouvées",
+    "save.wonStatus":           "le statut de victoire ne correspond pas aux cases ouvertes",
+    "save.moves":               "historique des coups invalide",
+    "save.assisted":            "statut assisté invalide",
+    "save.imported":            "statut importé invalide",
+    "save.undos":               "nombre d'annulations invalide",
+    "save.undosUnassisted":     "coups annulés dans une partie non assistée",
+    "save.hints":               "nombre d'indices invalide",
+    "save.move":                "coup {0} invalide",
+    "save.moveAction":          "action invalide au coup {0} : {1}",
+    "save.moveOutside":         "coup {0} hors de la grille",
+    "save.moveTime":            "heure invalide au coup {0}",
+    "save.movesMismatch":       "l'historique des coups ne correspond pas à la grille",
+    "save.clicks":              "nombres de clics invalides",
+    "save.clickCount":          "nombre de clics {0} invalide",
+    "save.wastedClicks":        "plus de clics inutiles que de clics",
+
+    // Board layout errors, row and column positions start from 1
+    "layout.invalid":       "Grille invalide : {0}",
+    "layout.notString":     "la grille doit être une chaîne de caractères",
+    "layout.empty":         "grille vide",
+    "layout.rowLength":     "la ligne {0} a {1} cases, {2} attendues",
+    "layout.unknownCell":   "case inconnue ligne {0}, colonne {1}, la vue d'un joueur ne peut pas être importée",
+    "layout.character":     "caractère « {0} » invalide ligne {1}, colonne {2}",
+    "layout.mbfTooLarge":   "Le format .mbf est limité à 255 lignes et colonnes",
+    "layout.mbfType":       "les données .mbf doivent être des octets",
+    "layout.mbfShort":      "les données .mbf sont trop courtes",
+    "layout.mbfLength":     "{0} octets attendus pour {1} mines, {2} trouvés",
+    "layout.mineOutside":   "mine hors de la grille : ligne {0}, colonne {1}",
+    "layout.duplicateMine": "mine en double : ligne {0}, colonne {1}",
+    "layout.adjacentMines": "la case ligne {0}, colonne {1} affiche {2} mais a {3} mines voisines",
+
+    // Main menu
+    "menu.welcome":          "Bienvenue dans le Démineur",
+    "menu.chooseDifficulty": "Choisissez un niveau de difficulté :",
+    "menu.daily":            "Défi du jour",
+    "menu.load":             "Charger une partie sauvegardée",
+    "menu.statistics":       "Statistiques",
+    "menu.exit":             "Quitter",
+    "menu.choice":           "Entrez votre choix : ",
+    "menu.invalidChoice":    "Choix invalide. Veuillez réessayer.",
+    "menu.exiting":          "Fermeture du Démineur...",
+
+    // Questions of a new game
+    "prompt.seed":               "Entrez une graine (laisser vide pour une graine aléatoire) : ",
+    "prompt.topology":           "Topologie de la grille : square, torus ou hex (laisser vide pour square) : ",
+    "prompt.firstClickPolicies": "Règles de premier clic :",
+    "prompt.firstClick":         "Règle de premier clic (laisser vide pour random) : ",
+    "prompt.lives":              "Nombre de vies, une mine coûte une vie (laisser vide pour 1) : ",
+    "prompt.noGuess":            "Grille sans hasard ? (O/N) : ",
+    "prompt.practice":           "Mode entraînement avec annulation ? (O/N) : ",
+    "prompt.rows":               "Entrez le nombre de lignes ({0}-{1}) : ",
+    "prompt.cols":               "Entrez le nombre de colonnes ({0}-{1}) : ",
+    "prompt.mines":              "Entrez le nombre de mines ({0}-{1}) : ",
+    "prompt.file":               "Entrez le nom du fichier (laisser vide pour {0}) : ",
+    "prompt.tryAgain":           "{0}. Veuillez réessayer.",
+    "prompt.continue":           "Appuyez sur Entrée pour continuer : ",
+
+    // Game information
+    "info.difficulty":     "Difficulté : {0}",
+    "info.difficultySize": "Difficulté : {0} ({1}x{2}, {3} mines)",
+    "info.topology":       "Topologie : {0}",
+    "info.firstClick":     "Premier clic : {0}",
+    "info.seed":           "Graine : {0}",
+    "info.seedPending":    "choisie à l'ouverture de la première case",
+    "info.board":          "Grille : {0}",
+    "info.guessFree":      "Aucun hasard nécessaire",
+    "info.guessNotFound":  "Grille sans hasard introuvable, il faudra peut-être deviner",
+    "info.mode":           "Mode : {0}",
+    "info.practice":       "Entraînement",
+    "info.assisted":       "Entraînement (assisté, {0} annulations)",
+    "info.status":         "Statut de la partie : {0}",
+    "info.time":           "Temps de jeu : {0} secondes",
+    "info.openedCells":    "Cases ouvertes : {0}",
+    "info.remainingMines": "Mines restantes : {0}",
+    "info.flags":          "Drapeaux : {0}",
+    "info.cells":          "Cases ouvertes : {0}, Drapeaux : {1}, Mines restantes : {2}",
+    "info.moves":          "Coups : {0}, Indices : {1}, Annulations : {2}",
+    "info.lives":          "Vies : {0}",
+    "info.livesLeft":      "{0} sur {1} restantes",
+    "info.hints":          "Indices : {0}",
+    "info.clicks":         "Clics : {0}",
+    "info.clickCounts":    "{0} (gauche {1}, droit {2}, accord {3}, inutiles {4})",
+    "info.bbbv":           "3BV : {0}",
+    "info.bbbvPerSecond":  "3BV/s : {0}",
+    "info.efficiency":     "Efficacité : {0} %",
+
+    "status.over":    "Partie perdue",
+    "status.won":     "Partie gagnée",
+    "status.playing": "En cours",
+
+    // Playing a game
+    "game.commandsHelp":    "Tapez « help » pour la liste des commandes, par exemple « o 3 5 » ouvre la ligne 3, colonne 5.",
+    "game.outside":         "La case {0} {1} est hors de la grille, les lignes vont de 1 à {2} et les colonnes de 1 à {3}.",
+    "game.openToStart":     "Ouvrez une case pour commencer la partie.",
+    "game.boom":            "Boum ! Vous avez ouvert une mine, {0}.",
+    "game.undoUnavailable": "L'annulation n'est possible qu'en mode entraînement.",
+    "game.undone":          "Dernier coup annulé.",
+    "game.nothingToUndo":   "Il n'y a aucun coup à annuler.",
+    "game.undoMine":        "Vous avez ouvert une mine. Annuler le dernier coup ? (O/N) : ",
+    "game.newGame":         "Nouvelle partie commencée.",
+
+    "hint.start":     "Ouvrez n'importe quelle case pour commencer.",
+    "hint.startSafe": "Ouvrez n'importe quelle case pour commencer, la première case est toujours sûre.",
+    "hint.guess":     "Aucune case n'est sûrement vide ou minée, il faut deviner.",
+    "hint.mine":      "Indice : la case ligne {0}, colonne {1} est sûrement une mine.",
+    "hint.safe":      "Indice : la case ligne {0}, colonne {1} est sûrement sans mine.",
+
+    "file.saved":     "Partie sauvegardée dans {0}.",
+    "file.saveError": "Impossible de sauvegarder la partie : {0}",
+    "file.loaded":    "Partie chargée depuis {0}.",
+    "file.loadError": "Impossible de charger la partie depuis {0} : {1}",
+
+    // End of a game
+    "end.won":       "Félicitations ! Vous avez gagné la partie.",
+    "end.lost":      "Perdu ! Vous avez perdu la partie.",
+    "end.share":     "Partagez votre résultat du défi du jour :",
+    "end.replay":    "Voulez-vous revoir la partie ? (O/N) : ",
+    "end.playAgain": "Voulez-vous rejouer ? (O/N) : ",
+
+    "replay.start":    "Début",
+    "replay.open":     "Ouverture",
+    "replay.flag":     "Drapeau",
+    "replay.chord":    "Accord",
+    "replay.moveCell": "{0} ligne {1}, colonne {2}",
+    "replay.move":     "Coup {0}/{1} : {2}",
+    "replay.next":     "Appuyez sur Entrée pour le coup suivant (Q pour arrêter) : ",
+    "replay.end":      "Fin du replay. Appuyez sur Entrée pour continuer : ",
+
+    // Records and statistics
+    "records.updateError": "Impossible de mettre à jour les records : {0}",
+    "records.bestTime":    "Nouveau meilleur temps ! Entrez votre nom (laisser vide pour {0}) : ",
+    "records.rank":        "Votre temps est le numéro {0} pour {1}.",
+    "records.corrupted":   "Le fichier des records était corrompu ({0}) et a été déplacé vers {1}",
+    "records.locked":      "Le fichier des records est verrouillé par une autre partie : {0}",
+    "records.format":      "format des records non pris en charge",
+    "records.missing":     "records manquants",
+    "records.invalid":     "record invalide pour {0}",
+    "records.custom":      "Personnalisé {0}x{1}, {2} mines",
+    "records.lives":       "{0} vies",
+    "records.noGuess":     "Grille sans hasard",
+
+    "statistics.empty":        "Aucune partie n'a encore été enregistrée.",
+    "statistics.games":        "Jouées : {0}, Gagnées : {1}, Taux de victoire : {2}",
+    "statistics.streaks":      "Série en cours : {0}, Plus longue série : {1}",
+    "statistics.seconds":      "{0} secondes",
+    "statistics.reset":        "Entrez R pour réinitialiser les statistiques, ou appuyez sur Entrée pour continuer : ",
+    "statistics.resetConfirm": "Réinitialiser toutes les statistiques ? C'est irréversible (O/N) : ",
+
+    // Daily challenge share text
+    "daily.title":   "Démineur du jour {0}",
+    "daily.won":     "Gagné",
+    "daily.lost":    "Perdu, {0}",
+    "daily.cleared": "{0} % déminé",
+    "daily.hint":    "{0} indice",
+    "daily.hints":   "{0} indices",
+
+    // Commands of the prompt
+    "help.title":                  "Commandes, plusieurs peuvent être séparées par « ; » :",
+    "command.open":                "Ouvrir une case",
+    "command.flag":                "Poser ou retirer un drapeau",
+    "command.chord":               "Ouvrir les voisines d'un nombre dont toutes les mines ont un drapeau",
+    "command.hint":                "Montrer une case sûrement sans mine ou sûrement minée",
+    "command.undo":                "Annuler le dernier coup (mode entraînement)",
+    "command.new":                 "Commencer une nouvelle partie",
+    "command.save":                "Sauvegarder la partie, un fichier .txt ou .mbf reçoit la grille",
+    "command.load":                "Charger une partie depuis un fichier",
+    "command.info":                "Afficher les informations de la partie",
+    "command.help":                "Afficher cette aide",
+    "command.quit":                "Quitter la partie",
+    "command.inSequence":          "Commande {0} « {1} » : {2}",
+    "command.unknown":             "Commande « {0} » inconnue. {1}",
+    "command.helpHint":            "Tapez « help » pour la liste des commandes.",
+    "command.suggestion":          "Vouliez-vous dire « {0} » ?",
+    "command.noArguments":         "« {0} » ne prend aucun argument, reçu « {1} ».",
+    "command.cellArgument":        "« {0} » attend une ligne et une colonne, par exemple « {1} 3 5 », reçu {2} argument.",
+    "command.cellArguments":       "« {0} » attend une ligne et une colonne, par exemple « {1} 3 5 », reçu {2} arguments.",
+    "command.row":                 "La ligne",
+    "command.column":              "La colonne",
+    "command.nothing":             "rien",
+    "command.noDifficulty":        "« new » attend une difficulté : beginner, intermediate, expert ou custom, reçu {0}.",
+    "command.difficultyArguments": "« new {0} » ne prend aucun autre argument.",
+    "command.customArguments":     "« new custom » attend les lignes, les colonnes et les mines, par exemple « new custom 20 30 100 ».",
+    "command.wholeNumber":         "{0} doit être un nombre entier, reçu « {1} ».",
+    "command.atLeastOne":          "{0} doit valoir 1 ou plus, reçu {1}.",
+
+    // Keyboard interface
+    "keyboard.help":            "Flèches/hjkl : déplacer  Espace/O : ouvrir  F : drapeau  C : accord  ? : indice  U : annuler  " +
+                                "S : sauvegarder  Q : quitter",
+    "keyboard.mines":           "Mines : {0}",
+    "keyboard.lives":           "Vies : {0}",
+    "keyboard.time":            "Temps : {0} s",
+    "keyboard.cursor":          "Ligne {0}, Colonne {1}",
+    "keyboard.undoMine":        "Vous avez ouvert une mine. Appuyez sur U pour annuler, ou sur une autre touche pour continuer.",
+    "keyboard.saveUnavailable": "La sauvegarde n'est pas disponible.",
+    "keyboard.hintMine":        "Indice : la case sous le curseur est sûrement une mine.",
+    "keyboard.hintSafe":        "Indice : la case sous le curseur est sûrement sans mine.",
+
+    // Browser page
+    "web.title":          "Démineur",
+    "web.difficulty":     "Difficulté",
+    "web.newGame":        "Nouvelle partie",
+    "web.remainingMines": "Mines restantes",
+    "web.gameTime":       "Temps de jeu",
+    "web.board":          "Grille du démineur",
+    "web.help":           "Clic gauche : ouvrir · Clic droit : drapeau · Clic du milieu ou double clic : accord",
+    "web.start":          "Cliquez sur une case pour commencer.",
+    "web.won":            "Gagné !",
+    "web.lost":           "Perdu !",
+    "web.cell":           "Ligne {0}, colonne {1} : {2}",
+    "web.unopened":       "fermée",
+    "web.empty":          "vide"
+};
+
+// Export for Node, or add the catalog to the locales of the browser page
+if (typeof module === "object") {
+    module.exports = MESSAGES_FR;
+} else {
+    globalThis.MinesweeperLocales = { ...globalThis.MinesweeperLocales, fr: MESSAGES_FR };
+}
@@ -0,0 +1,242 @@
+// Line-delimited JSON protocol of the --json mode, for test harnesses and bots driving the game through a pipe
+// Usage: node minesweeper.js --json
+//
+// Every line read from stdin is one command, every command gets one response line on stdout
+// Commands are those of the prompt, named by "cmd", rows and columns start from 0 like the board arrays:
+//   { "cmd": "open" | "flag" | "chord", "row": 3, "col": 5 }   the first opened cell starts the game
+//   { "cmd": "new", "difficulty": "beginner" | "intermediate" | "expert" | "custom", "rows", "cols", "mines",
+//     "seed", "topology", "firstClick", "lives", "noGuess", "practice" }   options not given are kept from the last game,
+//     except the seed: a new game without a seed gets a random layout, so it never repeats the last one by accident
+//   { "cmd": "hint" | "undo" | "info" | "help" | "quit" }
+//   { "cmd": "save" | "load", "file": "game.json" }
+// Responses:
+//   { "ok": true, "cmd": "open", "game": { ... } } with a hint, undone, file or commands field for the commands giving one
+//   { "ok": false, "cmd": "open", "error": { "type": "RangeError", "message": "..." }, "game": { ... } }
+// The game holds the player-visible board from Board.getPlayerBoard() and the stats from Board.getGameInfo(),
+// the seed and the 3BV of the stats are added once the game is over as they give away the layout
+
+const readline = require("readline");
+const { Difficulty, Topology, FirstClick, Board } = require("./engine");
+const { CommandError, COMMANDS, describeCommand } = require("./commands");
+
+// Parse a JSON line into a command object like those of parseCommands
+function parseJsonCommand(line) {
+    let message;
+
+    try {
+        message = JSON.parse(line);
+    } catch (error) {
+        throw new CommandError(`Invalid JSON: ${ error.message }`);
+    }
+    if (message === null || typeof message !== "object" || Array.isArray(message) || typeof message.cmd !== "string") {
+        throw new CommandError("A command must be a JSON object with a \"cmd\" string");
+    }
+
+    let command = COMMANDS.find(({ name, aliases }) => name === message.cmd || aliases.includes(message.cmd));
+    if (command === undefined) { throw new CommandError(`Unknown command "${ message.cmd }"`); }
+
+    switch (command.args) {
+        case "cell":
+            if (!Number.isInteger(message.row) || !Number.isInteger(message.col)) {
+                throw new CommandError(`"${ command.name }" needs a whole number row and col`);
+            }
+            return { name: command.name, row: message.row, col: message.col };
+        case "difficulty": {
+            let { difficulty = "beginner", rows, cols, mines, seed, topology, firstClick, lives, noGuess, practice } = message;
+            difficulty = typeof difficulty === "string" ? difficulty.toLowerCase() : difficulty;
+            return { name: command.name, difficulty, rows, cols, mines, seed, topology, firstClick, lives, noGuess, practice };
+        }
+        case "file":
+            if (message.file !== undefined && typeof message.file !== "string") {
+                throw new CommandError(`"${ command.name }" needs a file name string`);
+            }
+            return { name: command.name, file: message.file ?? null };
+        default:
+            return { name: command.name };
+    }
+}
+
+// Return the player-visible state of a game
+function formatGame(board) {
+    let { difficulty, topology, firstClick, seed, status, stats: { bbbv, ...stats } } = board.getGameInfo();
+    let game = {
+        difficulty: difficulty,
+        topology:   topology,
+        firstClick: firstClick,
+        rows:       board.rows,
+        cols:       board.cols,
+        mines:      board.mines,
+        status:     status,
+        stats:      stats,
+        board:      board.getPlayerBoard()
+    };
+
+    if (status.isGameOver || status.isGameWon) {
+        game.seed = seed;
+        game.stats.bbbv = bbbv;
+    }
+    return game;
+}
+
+// Session of the JSON protocol, running one command line at a time on its board
+class JsonSession {
+    #_board;
+    #_save;
+    #_load;
+    #_defaultFile;
+
+    // options.save: function (board, file) writing a game file, throws on failure
+    // options.load: function (file) returning the board read from a game file, throws on failure
+    // options.defaultFile: file used by save and load when the command gives none
+    constructor(board, options = {}) {
+        this.#_board = board;
+        this.#_save = options.save ?? null;
+        this.#_load = options.load ?? null;
+        this.#_defaultFile = options.defaultFile ?? null;
+    }
+
+    get board() { return this.#_board; }
+
+    // Run a command line and return its response, every error is answered with its type and message
+    handleLine(line) {
+        let name = null;
+
+        try {
+            let command = parseJsonCommand(line);
+            name = command.name;
+            return { ok: true, cmd: name, ...this.#run(command), game: formatGame(this.#_board) };
+        } catch (error) {
+            return { ok: false, cmd: name, error: { type: error.name, message: error.message }, game: formatGame(this.#_board) };
+        }
+    }
+
+    #run(command) {
+        let board = this.#_board;
+
+        switch (command.name) {
+            case "open":
+            case "flag":
+            case "chord":
+                this.#play(command);
+                return {};
+            case "hint":
+                return { hint: board.hint() };
+            case "undo":
+                return { undone: board.undo() };
+            case "new":
+                this.#_board = JsonSession.#createBoard(command, board);
+                return {};
+            case "save": {
+                let file = this.#file(command, this.#_save);
+                this.#_save(board, file);
+                return { file: file };
+            }
+            case "load": {
+                let file = this.#file(command, this.#_load);
+                this.#_board = this.#_load(file);
+                return { file: file };
+            }
+            case "help": {
+                let commands = COMMANDS.map((command) => {
+                    let { name, aliases, args } = command;
+                    return { name, aliases, args, description: describeCommand(command) };
+                });
+                return { commands: commands };
+            }
+            default:
+                // info and quit answer with the game only
+                return {};
+        }
+    }
+
+    // Play a cell command, the first opened cell starts the game
+    #play({ name, row, col }) {
+        let board = this.#_board;
+
+        if (!board.getGameInfo().status.isGameStarted) {
+            if (name !== "open") { throw new CommandError("Open a cell to start the game"); }
+            board.startGame(row, col);
+        }
+
+        switch (name) {
+            case "open":
+                board.openCell(row, col);
+                break;
+            case "flag":
+                board.toggleFlag(row, col);
+                break;
+            case "chord":
+                board.chordCell(row, col);
+                break;
+        }
+    }
+
+    #file({ name, file }, action) {
+        if (action === null) { throw new CommandError(`"${ name }" is not available`); }
+        if (file === null && this.#_defaultFile === null) { throw new CommandError(`"${ name }" needs a file`); }
+        return file ?? this.#_defaultFile;
+    }
+
+    // Create the board of a "new" command, the options not given are those of the previous board, but for the seed
+    static #createBoard(command, previous) {
+        let options = {
+            seed:       command.seed ?? null,
+            topology:   command.topology === undefined ? previous.topology : Topology.fromName(command.topology),
+            firstClick: command.firstClick === undefined ? previous.firstClick : FirstClick.fromName(command.firstClick),
+            lives:      command.lives ?? previous.lives,
+            noGuess:    command.noGuess ?? previous.noGuess,
+            practice:   command.practice ?? previous.practice
+        };
+
+        if (options.seed !== null && typeof options.seed !== "string" && !Number.isInteger(options.seed)) {
+            throw new CommandError("The seed must be a string or a whole number");
+        }
+        if (typeof options.noGuess !== "boolean" || typeof options.practice !== "boolean") {
+            throw new CommandError("noGuess and practice must be true or false");
+        }
+
+        switch (command.difficulty) {
+            case "beginner":
+                return new Board(Difficulty.BEGINNER, options);
+            case "intermediate":
+                return new Board(Difficulty.INTERMEDIATE, options);
+            case "expert":
+                return new Board(Difficulty.EXPERT, options);
+            case "custom":
+                return new Board(Difficulty.custom(command.rows, command.cols, command.mines), options);
+            default:
+                throw new CommandError(`Unknown difficulty "${ command.difficulty }", ` +
+                                       "expected beginner, intermediate, expert or custom");
+        }
+    }
+}
+
+// Play through the JSON protocol until the quit command or the end of the input
+// options: the JsonSession options, and the input and output streams (stdin and stdout by default)
+function playWithJson(board, options = {}) {
+    let input = options.input ?? process.stdin;
+    let output = options.output ?? process.stdout;
+    let session = new JsonSession(board, options);
+    let lines = readline.createInterface({ input: input, crlfDelay: Infinity, terminal: false });
+
+    return new Promise((resolve) => {
+        let isDone = false;
+        let finish = () => {
+            if (isDone) { return; }
+            isDone = true;
+            lines.close();
+            resolve({ board: session.board });
+        };
+
+        lines.on("line", (line) => {
+            if (isDone || line.trim() === "") { return; }
+
+            let response = session.handleLine(line);
+            output.write(JSON.stringify(response) + "\n");
+            if (response.ok && response.cmd === "quit") { finish(); }
+        });
+        lines.on("close", finish);
+    });
+}
+
+module.exports = { JsonSession, parseJsonCommand, formatGame, playWithJson };
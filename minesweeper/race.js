@@ -0,0 +1,327 @@
+// Head-to-head race mode over TCP: players race on identical boards, the first to clear their board wins
+// Usage: node minesweeper/race.js [port] [players] [beginner|intermediate|expert]
+//
+// The protocol is one JSON object per line in both directions, so any plain TCP client can play, e.g. nc localhost 8081
+// Client messages:
+//   { "type": "join", "name": "Alice" }            join the next race, it starts when enough players have joined
+//   { "type": "open" | "flag" | "chord", "row", "col" }   play a move, rows and columns start from 0
+// Server messages:
+//   welcome, waiting   lobby status
+//   start              the race started, every player makes their own first click
+//   board              the player's own board after a move
+//   progress           opened cell percentage, elapsed time and status of every player, sent after moves and every second
+//   end                the winner (null when nobody cleared their board), the results and the seed of the layout
+//   error              an invalid message, the connection stays open
+//
+// The mine layout is generated once per race from its seed and loaded into every board, so all the players
+// get the same layout wherever they click first. No first click is protected, as the layout exists before anyone clicks
+
+const net = require("net");
+const { Random, Difficulty, FirstClick, Board } = require("./engine");
+
+const DEFAULT_PORT = 8081;
+
+const DIFFICULTIES = {
+    beginner:     Difficulty.BEGINNER,
+    intermediate: Difficulty.INTERMEDIATE,
+    expert:       Difficulty.EXPERT
+};
+
+class RaceServer {
+
+    // Longest accepted message line in characters, a longer line closes the connection
+    static MAX_LINE_LENGTH = 4096;
+
+    // Interval of the progress updates sent during a race
+    static PROGRESS_INTERVAL = 1000;
+
+    #_server;
+    #_players;
+    #_difficulty;
+    #_seed;
+    #_lobby;
+    #_race;
+    #_timer;
+    #_nextId;
+
+    // options.players: number of players in a race (2 or more)
+    // options.difficulty: difficulty of the race boards
+    // options.seed: fixed seed of every race (random seed per race when omitted)
+    constructor(options = {}) {
+        this.#_players = options.players ?? 2;
+        this.#_difficulty = options.difficulty ?? Difficulty.BEGINNER;
+        this.#_seed = options.seed ?? null;
+
+        if (!Number.isInteger(this.#_players) || this.#_players < 2) {
+            throw new RangeError("A race needs a whole number of players, 2 or more");
+        }
+
+        this.#_lobby = [];
+        this.#_race = null;
+        this.#_timer = null;
+        this.#_nextId = 1;
+        this.#_server = net.createServer((socket) => this.#connect(socket));
+    }
+
+    get server() { return this.#_server; }
+
+    // Start listening, only local connections are accepted unless another host is given
+    listen(port = DEFAULT_PORT, host = "127.0.0.1") {
+        return new Promise((resolve, reject) => {
+            this.#_server.once("error", reject);
+            this.#_server.listen(port, host, () => resolve(this.#_server.address()));
+        });
+    }
+
+    // Stop the server and close every connection
+    close() {
+        clearInterval(this.#_timer);
+        for (let player of [...this.#_lobby, ...(this.#_race?.players ?? [])]) { player.socket.destroy(); }
+
+        return new Promise((resolve) => this.#_server.close(() => resolve()));
+    }
+
+    #connect(socket) {
+        let player = { id: this.#_nextId++, name: null, socket: socket, board: null, status: "connected", buffer: "" };
+
+        socket.setEncoding("utf8");
+        socket.on("data", (data) => this.#receive(player, data));
+        socket.on("close", () => this.#disconnect(player));
+        socket.on("error", () => socket.destroy());
+
+        RaceServer.#send(player, { type: "welcome", players: this.#_players, difficulty: this.#_difficulty.name });
+    }
+
+    // Split the received data into lines, each line is a message
+    #receive(player, data) {
+        let lines = (player.buffer + data).split("\n");
+        player.buffer = lines.pop();
+
+        if (player.buffer.length > RaceServer.MAX_LINE_LENGTH) {
+            RaceServer.#send(player, { type: "error", message: "Message too long" });
+            player.socket.destroy();
+            return;
+        }
+
+        for (let line of lines) {
+            if (line.trim() === "") { continue; }
+
+            try {
+                this.#handle(player, RaceServer.#parse(line));
+            } catch (error) {
+                if (!(error instanceof RangeError || error instanceof TypeError)) { throw error; }
+                RaceServer.#send(player, { type: "error", message: error.message });
+            }
+        }
+    }
+
+    static #parse(line) {
+        let message;
+
+        try {
+            message = JSON.parse(line);
+        } catch (error) {
+            throw new TypeError(`Invalid JSON: ${ error.message }`);
+        }
+        if (message === null || typeof message !== "object" || typeof message.type !== "string") {
+            throw new TypeError("A message must be a JSON object with a type");
+        }
+        return message;
+    }
+
+    #handle(player, message) {
+        switch (message.type) {
+            case "join":
+                this.#join(player, message.name);
+                break;
+            case "open":
+            case "flag":
+            case "chord":
+                this.#play(player, message);
+                break;
+            default:
+                throw new RangeError(`Unknown message type: ${ message.type }`);
+        }
+    }
+
+    #join(player, name) {
+        if (player.status !== "connected") { throw new RangeError("Already joined"); }
+        if (name !== undefined && (typeof name !== "string" || name.trim() === "")) {
+            throw new TypeError("The name must be a non-empty string");
+        }
+
+        player.name = name?.trim() ?? `Player ${ player.id }`;
+        player.status = "waiting";
+        this.#_lobby.push(player);
+        this.#updateLobby();
+    }
+
+    // Tell the waiting players how many are still expected, and start a race when enough have joined
+    #updateLobby() {
+        if (this.#_race === null && this.#_lobby.length >= this.#_players) {
+            this.#startRace(this.#_lobby.splice(0, this.#_players));
+        }
+
+        for (let player of this.#_lobby) {
+            RaceServer.#send(player, {
+                type:    "waiting",
+                players: this.#_lobby.map(({ name }) => name),
+                needed:  Math.max(this.#_players - this.#_lobby.length, 0),
+                racing:  this.#_race !== null
+            });
+        }
+    }
+
+    // Give every player a board with the same mine layout, generated once from the race seed
+    #startRace(players) {
+        let seed = this.#_seed ?? Random.randomSeed();
+        let layout = RaceServer.#createLayout(this.#_difficulty, seed);
+
+        this.#_race = { players: players, seed: seed };
+
+        for (let player of players) {
+            player.board = Board.fromMbf(layout);
+            player.status = "playing";
+            player.board.on("gameWon", () => this.#finish(player, "won"));
+            player.board.on("gameLost", () => this.#finish(player, "lost"));
+        }
+
+        for (let player of players) {
+            RaceServer.#send(player, {
+                type:    "start",
+                players: players.map(({ name }) => name),
+                ...RaceServer.#boardView(player.board)
+            });
+        }
+        this.#broadcastProgress();
+        this.#_timer = setInterval(() => this.#broadcastProgress(), RaceServer.PROGRESS_INTERVAL);
+    }
+
+    #play(player, { type, row, col }) {
+        if (player.status !== "playing") { throw new RangeError("You are not playing a race"); }
+        if (!Number.isInteger(row) || !Number.isInteger(col)) { throw new TypeError("The row and col must be whole numbers"); }
+
+        let board = player.board;
+        switch (type) {
+            case "open":
+                board.openCell(row, col);
+                break;
+            case "flag":
+                board.toggleFlag(row, col);
+                break;
+            case "chord":
+                board.chordCell(row, col);
+                break;
+        }
+
+        if (this.#_race === null) { return; }
+        RaceServer.#send(player, { type: "board", ...RaceServer.#boardView(board) });
+        this.#broadcastProgress();
+    }
+
+    // A player cleared or lost their board, the race ends with a winner or when nobody is playing any more
+    #finish(player, status) {
+        if (this.#_race === null) { return; }
+        player.status = status;
+
+        if (status === "won") {
+            this.#endRace(player);
+        } else if (!this.#_race.players.some(({ status }) => status === "playing")) {
+            this.#endRace(null);
+        }
+    }
+
+    #endRace(winner) {
+        let race = this.#_race;
+        let results = RaceServer.#progress(race.players);
+
+        clearInterval(this.#_timer);
+        this.#_race = null;
+
+        for (let player of race.players) {
+            RaceServer.#send(player, { type: "board", ...RaceServer.#boardView(player.board) });
+            RaceServer.#send(player, { type: "end", winner: winner?.name ?? null, results: results, seed: race.seed });
+            player.status = "finished";
+            player.socket.end();
+        }
+
+        this.#updateLobby();
+    }
+
+    // A player leaving the lobby is forgotten, a player leaving a race stops playing it
+    #disconnect(player) {
+        let index = this.#_lobby.indexOf(player);
+
+        if (index !== -1) {
+            this.#_lobby.splice(index, 1);
+            this.#updateLobby();
+            return;
+        }
+        if (player.status !== "playing" || this.#_race === null) { return; }
+
+        player.status = "left";
+        if (this.#_race.players.some(({ status }) => status === "playing")) {
+            this.#broadcastProgress();
+        } else {
+            this.#endRace(null);
+        }
+    }
+
+    #broadcastProgress() {
+        let progress = RaceServer.#progress(this.#_race.players);
+        this.#_race.players.forEach((player) => RaceServer.#send(player, { type: "progress", players: progress }));
+    }
+
+    // Return the .mbf mine layout of a race, the policy without protected cells makes it independent of the first click
+    static #createLayout(difficulty, seed) {
+        let board = new Board(difficulty, { seed: seed, firstClick: FirstClick.NONE });
+        board.startGame(0, 0);
+        return board.toMbf();
+    }
+
+    // Opened cell percentage and elapsed time of every player
+    static #progress(players) {
+        return players.map(({ name, board, status }) => {
+            let { stats } = board.getGameInfo();
+            let safeCells = board.rows * board.cols - board.mines;
+
+            return {
+                name:             name,
+                status:           status,
+                progress:         Math.floor(stats.openedCells / safeCells * 1000) / 10,
+                gameTimeInSecond: stats.gameTimeInSecond
+            };
+        });
+    }
+
+    static #boardView(board) {
+        let { stats } = board.getGameInfo();
+        return { rows: board.rows, cols: board.cols, mines: board.mines, remainingMines: stats.remainingMines, board: board.getPlayerBoard() };
+    }
+
+    // Send a message to a player, messages to a closed connection are dropped
+    static #send(player, message) {
+        if (player.socket.writable) { player.socket.write(JSON.stringify(message) + "\n"); }
+    }
+}
+
+async function main() {
+    let [port = DEFAULT_PORT, players = 2] = process.argv.slice(2, 4).map((value) => parseInt(value, 10));
+    let difficulty = DIFFICULTIES[(process.argv[4] ?? "beginner").toLowerCase()];
+
+    if (difficulty === undefined) { throw new RangeError(`Unknown difficulty: ${ process.argv[4] }`); }
+
+    let raceServer = new RaceServer({ players: players, difficulty: difficulty });
+    let { address, port: listeningPort } = await raceServer.listen(port);
+
+    console.log(`Minesweeper race server listening on ${ address }:${ listeningPort }, ${ players } players per race`);
+}
+
+if (require.main === module) {
+    main().catch((error) => {
+        console.error(error.message);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { RaceServer };
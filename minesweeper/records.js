@@ -0,0 +1,239 @@
+// Persistent records of the Minesweeper game: best times, games played and won, and win streaks per difficulty
+// Records are kept in a local JSON file, every update locks the file and replaces it atomically
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Difficulty, FirstClick } = require("./engine");
+const { t } = require("./i18n");
+
+// Default records file, the MINESWEEPER_RECORDS environment variable overrides it
+const RECORDS_FILE = process.env.MINESWEEPER_RECORDS ?? path.join(os.homedir(), ".minesweeper-records.json");
+
+class RecordsStore {
+
+    // Version of the records file format
+    static #_version = 1;
+
+    // Number of best times kept for each difficulty
+    static BEST_TIMES = 10;
+
+    // A lock older than this is left over from a crashed process
+    static #_staleLockTime = 10000;
+    static #_lockTimeout = 2000;
+
+    #_file;
+    #_lockFile;
+    #_warning;
+
+    constructor(file = RECORDS_FILE) {
+        this.#_file = file;
+        this.#_lockFile = `${ file }.lock`;
+        this.#_warning = null;
+    }
+
+    get file() { return this.#_file; }
+
+    // Return and clear the last warning, set when a corrupted records file was moved aside
+    takeWarning() {
+        let warning = this.#_warning;
+        this.#_warning = null;
+        return warning;
+    }
+
+    // Return the records key of a board, the key is stored in the records file and labelOf() shows it
+    // Custom boards are keyed by their size and mine count
+    // Torus and hex boards play differently from square boards, so they have their own records
+    // as do first click policies other than the default random one, which change how often a game starts with an opening,
+    // and lives games, where opening a mine does not end the game
+    static keyOf(board) {
+        let key = board.difficulty === "Custom" ? `Custom ${ board.rows }x${ board.cols }/${ board.mines }` : board.difficulty;
+        if (board.topology.name !== "square") { key += ` ${ board.topology.name }`; }
+        if (board.firstClick.name !== "random") { key += ` first click ${ board.firstClick.name }`; }
+        if (board.lives > 1) { key += ` ${ board.lives } lives`; }
+        return board.noGuess ? `${ key } (no guess)` : key;
+    }
+
+    // Parts of a records key, in the order keyOf() writes them
+    static #_keyPattern = new RegExp("^(?:Custom (\\d+)x(\\d+)/(\\d+)|(Beginner|Intermediate|Expert))(?: (torus|hex))?" +
+                                     "(?: first click (none|safe|opening))?(?: (\\d+) lives)?( \\(no guess\\))?$");
+
+    // Return the label of a records key in the current locale, the key itself stays English as it is stored in the records file
+    // A key keyOf() could not have written is shown as it is
+    static labelOf(key) {
+        let match = key.match(RecordsStore.#_keyPattern);
+        if (match === null) { return key; }
+
+        let [, rows, cols, mines, difficulty, topology, firstClick, lives, noGuess] = match;
+        let parts = [difficulty === undefined ? t("records.custom", rows, cols, mines) : Difficulty.label(difficulty)];
+        if (topology !== undefined) { parts.push(t("info.topology", topology)); }
+        if (firstClick !== undefined) { parts.push(t("info.firstClick", FirstClick.fromName(firstClick).description)); }
+        if (lives !== undefined) { parts.push(t("records.lives", lives)); }
+        if (noGuess !== undefined) { parts.push(t("records.noGuess")); }
+        return parts.join(", ");
+    }
+
+    // Return the records of every difficulty
+    getRecords() {
+        let { records } = this.#read();
+
+        return Object.entries(records).map(([key, record]) => ({
+            key:     key,
+            ...record,
+            winRate: record.played === 0 ? 0 : record.won / record.played
+        }));
+    }
+
+    // Record a finished game and return the rank of its time in the best times (null when not ranked)
+    // Games with undone moves are not recorded, nor games of an imported layout, which can be hand-made or partly opened
+    // Games with hints do not enter the best times
+    recordGame(board, name) {
+        let info = board.getGameInfo();
+        if (info.status.isAssisted || info.status.isImported) { return null; }
+        if (!info.status.isGameWon && !info.status.isGameOver) { return null; }
+
+        let key = RecordsStore.keyOf(board);
+        let rank = null;
+
+        this.#update((data) => {
+            let record = data.records[key] ?? { played: 0, won: 0, currentStreak: 0, longestStreak: 0, bestTimes: [] };
+            data.records[key] = record;
+            record.played++;
+
+            if (!info.status.isGameWon) {
+                record.currentStreak = 0;
+                return;
+            }
+
+            record.won++;
+            record.currentStreak++;
+            record.longestStreak = Math.max(record.longestStreak, record.currentStreak);
+            if (info.stats.hints > 0) { return; }
+
+            let entry = { name: name, time: info.stats.gameTimeInSecond, date: new Date().toISOString() };
+            record.bestTimes.push(entry);
+            record.bestTimes.sort((a, b) => a.time - b.time);
+            record.bestTimes = record.bestTimes.slice(0, RecordsStore.BEST_TIMES);
+
+            let index = record.bestTimes.indexOf(entry);
+            rank = index === -1 ? null : index + 1;
+        });
+        return rank;
+    }
+
+    // Check if a time would enter the best times of a board
+    isBestTime(board, time) {
+        let record = this.#read().records[RecordsStore.keyOf(board)];
+        if (record === undefined || record.bestTimes.length < RecordsStore.BEST_TIMES) { return true; }
+
+        return time < record.bestTimes[record.bestTimes.length - 1].time;
+    }
+
+    // Remove the records of one difficulty, or of all difficulties when no key is given
+    reset(key = null) {
+        this.#update((data) => {
+            if (key === null) {
+                data.records = {};
+            } else {
+                delete data.records[key];
+            }
+        });
+    }
+
+    // Read the records file, a corrupted file is moved aside and the records start empty
+    #read() {
+        let text;
+
+        try {
+            text = fs.readFileSync(this.#_file, "utf8");
+        } catch (error) {
+            if (error.code === "ENOENT") { return RecordsStore.#empty(); }
+            throw error;
+        }
+
+        try {
+            let data = JSON.parse(text);
+            RecordsStore.#validate(data);
+            return data;
+        } catch (error) {
+            let backup = `${ this.#_file }.corrupt-${ Date.now() }`;
+            fs.renameSync(this.#_file, backup);
+            this.#_warning = t("records.corrupted", error.message, backup);
+            return RecordsStore.#empty();
+        }
+    }
+
+    // Read, change and write the records while holding the lock
+    // The file is written to a temporary file first and renamed, so a failed write never leaves a partial file
+    #update(change) {
+        this.#lock();
+
+        try {
+            let data = this.#read();
+            change(data);
+
+            let temporaryFile = `${ this.#_file }.${ process.pid }.tmp`;
+            fs.writeFileSync(temporaryFile, JSON.stringify(data, null, 2));
+            fs.renameSync(temporaryFile, this.#_file);
+        } finally {
+            fs.rmSync(this.#_lockFile, { force: true });
+        }
+    }
+
+    // Create the lock file, waiting while another process holds it
+    #lock() {
+        let deadline = Date.now() + RecordsStore.#_lockTimeout;
+
+        while (true) {
+            try {
+                fs.closeSync(fs.openSync(this.#_lockFile, "wx"));
+                return;
+            } catch (error) {
+                if (error.code !== "EEXIST") { throw error; }
+            }
+
+            if (this.#isLockStale()) {
+                fs.rmSync(this.#_lockFile, { force: true });
+                continue;
+            }
+            if (Date.now() >= deadline) {
+                throw new Error(t("records.locked", this.#_lockFile));
+            }
+            RecordsStore.#sleep(20);
+        }
+    }
+
+    #isLockStale() {
+        try {
+            return Date.now() - fs.statSync(this.#_lockFile).mtimeMs > RecordsStore.#_staleLockTime;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    static #sleep(milliseconds) {
+        Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, milliseconds);
+    }
+
+    static #empty() { return { version: RecordsStore.#_version, records: {} }; }
+
+    static #validate(data) {
+        let isCount = (value) => Number.isInteger(value) && value >= 0;
+
+        if (data === null || typeof data !== "object" || data.version !== RecordsStore.#_version) {
+            throw new TypeError(t("records.format"));
+        }
+        if (data.records === null || typeof data.records !== "object") { throw new TypeError(t("records.missing")); }
+
+        for (let [key, record] of Object.entries(data.records)) {
+            let { played, won, currentStreak, longestStreak, bestTimes } = record ?? {};
+            let isValid = [played, won, currentStreak, longestStreak].every(isCount) && won <= played &&
+                          Array.isArray(bestTimes) &&
+                          bestTimes.every((entry) => typeof entry?.name === "string" && isCount(entry.time));
+
+            if (!isValid) { throw new TypeError(t("records.invalid", key)); }
+        }
+    }
+}
+
+module.exports = { RecordsStore };
@@ -0,0 +1,159 @@
+// Renderers drawing a Minesweeper game board as text
+// A renderer only reads the semantic cell states, so the same board can be drawn with colours, plain ASCII or emoji
+// Like engine.js, this module also runs in a browser
+
+// Colours of the ANSI renderer
+const COLOR_RESET = "\x1b[0m";
+const COLORS = {
+    flagged:  "\x1b[33m",
+    mine:     "\x1b[31m",
+    exploded: "\x1b[1;41m",
+    adjacent: "\x1b[34m"
+};
+
+// Renderer base class, subclasses draw single cells and the layout is shared
+// Every cell is drawn with the same visible width, so the grid stays aligned whatever the board size
+class Renderer {
+    #_cellWidth;
+
+    constructor(cellWidth = 1) {
+        this.#_cellWidth = cellWidth;
+    }
+
+    // Visible width of a drawn cell in terminal columns
+    get cellWidth() { return this.#_cellWidth; }
+
+    // Draw the content of one cell, cell is a CellState
+    renderCell(cell) {
+        throw new Error(`${ this.constructor.name } must implement renderCell`);
+    }
+
+    // Draw a game board from Board.getGameBoard()
+    // highlight: optional [row, col] of a cell shown in brackets
+    // topology: Topology of the board, the odd rows of a board with offset rows (hex) are drawn shifted by half a cell
+    render(gameBoard, highlight = null, topology = null) {
+        let rows = gameBoard.length;
+        let cols = gameBoard[0].length;
+        let offsetRows = topology?.offsetRows ?? false;
+        let labelWidth = Math.max(3, `${ rows }`.length + 1);
+        let rowLine = this.#getRowLine(cols, labelWidth);
+        let lines = [this.#getColumnIndices(cols, labelWidth)];
+
+        // Offset rows have no grid lines, every cell touches the cells of the rows above and below
+        if (!offsetRows) { lines.push(rowLine); }
+
+        for (let row = 0; row < rows; row++) {
+            let line = `${ row + 1 }`.padEnd(labelWidth, " ");
+            if (offsetRows && row % 2 === 1) { line += " ".repeat(Math.ceil((this.#_cellWidth + 5) / 2)); }
+
+            for (let col = 0; col < cols; col++) {
+                let isHighlighted = highlight !== null && highlight[0] === row && highlight[1] === col;
+                let content = this.renderCell(gameBoard[row][col]);
+                line += isHighlighted ? `[${ content }]` : ` ${ content } `;
+
+                if (col < cols - 1) { line += offsetRows ? "   " : " | "; }
+            }
+            lines.push(line.trimEnd());
+            if (row < rows - 1 && !offsetRows) { lines.push(rowLine); }
+        }
+        return lines.join("\n");
+    }
+
+    // Return the board columns indices
+    #getColumnIndices(cols, labelWidth) {
+        let line = " ".repeat(labelWidth + 1);
+
+        for (let col = 1; col <= cols; col++) {
+            line += `${ col }`.padEnd(this.#_cellWidth + 5, " ");
+        }
+        return line.trimEnd();
+    }
+
+    // Return the board row line
+    #getRowLine(cols, labelWidth) {
+        let segment = "-".repeat(this.#_cellWidth + 4);
+        return " ".repeat(labelWidth - 1) + Array(cols).fill(segment).join("+");
+    }
+}
+
+// Plain text without escape sequences, for files, logs and terminals without colours
+class AsciiRenderer extends Renderer {
+    renderCell(cell) {
+        switch (cell.currentState) {
+            case "flagged":  return "F";
+            case "mine":     return "M";
+            case "exploded": return "*";
+            case "empty":    return " ";
+            case "adjacent": return `${ cell.adjacentMines }`;
+            default:         return "X";
+        }
+    }
+}
+
+// ASCII symbols coloured with ANSI escape sequences: flags yellow, mines red, exploded mines on red, numbers blue
+class AnsiRenderer extends AsciiRenderer {
+    renderCell(cell) {
+        let text = super.renderCell(cell);
+        let color = COLORS[cell.currentState];
+
+        return color === undefined ? text : `${ color }${ text }${ COLOR_RESET }`;
+    }
+}
+
+// Unicode emoji, numbers use full width digits so every cell is two columns wide
+class EmojiRenderer extends Renderer {
+    constructor() {
+        super(2);
+    }
+
+    renderCell(cell) {
+        switch (cell.currentState) {
+            case "flagged":  return "\u{1F6A9}";
+            case "mine":     return "\u{1F4A3}";
+            case "exploded": return "\u{1F4A5}";
+            case "empty":    return "  ";
+            case "adjacent": return String.fromCodePoint(0xFF10 + cell.adjacentMines);
+            default:         return "⬜";
+        }
+    }
+}
+
+const THEMES = {
+    ansi:  AnsiRenderer,
+    ascii: AsciiRenderer,
+    emoji: EmojiRenderer
+};
+
+// Create the renderer of a theme
+function createRenderer(theme) {
+    let RendererClass = THEMES[theme];
+
+    if (RendererClass === undefined) {
+        // Looked up here, the browser page loads this module before i18n.js and only the command line chooses a theme
+        let i18n = typeof module === "object" ? require("./i18n") : globalThis.MinesweeperI18n;
+        throw new RangeError(i18n.t("theme.unknown", theme, Object.keys(THEMES).join(", ")));
+    }
+    return new RendererClass();
+}
+
+// Choose the theme from the --theme option, the NO_COLOR environment variable and the output stream
+// The theme is not checked here, createRenderer rejects an unknown theme
+// Colours are used only on a terminal, and never when NO_COLOR is set to a non-empty value
+function selectTheme(argv, env, stream) {
+    let index = argv.findIndex((arg) => arg === "--theme" || arg.startsWith("--theme="));
+    let noColor = (env.NO_COLOR ?? "") !== "";
+    let theme = stream.isTTY === true && !noColor ? "ansi" : "ascii";
+
+    if (index !== -1) {
+        let arg = argv[index];
+        theme = arg === "--theme" ? argv[index + 1] ?? "" : arg.slice("--theme=".length);
+    }
+    return theme === "ansi" && noColor ? "ascii" : theme;
+}
+
+// Export for Node, or as a global of the browser page
+if (typeof module === "object") {
+    module.exports = { Renderer, AsciiRenderer, AnsiRenderer, EmojiRenderer, THEMES, createRenderer, selectTheme };
+} else {
+    globalThis.MinesweeperRenderers = { Renderer, AsciiRenderer, AnsiRenderer, EmojiRenderer, THEMES, createRenderer, selectTheme };
+}
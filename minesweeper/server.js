@@ -0,0 +1,276 @@
+// Local HTTP JSON API for Minesweeper game sessions
+// Usage: node minesweeper/server.js [port]
+//
+// POST /games             { "difficulty": "beginner" | "intermediate" | "expert" | "custom", "rows", "cols", "mines", "seed",
+//                           "topology": "square" | "torus" | "hex" }
+// GET  /games/:id
+// POST /games/:id/open    { "row", "col" }, the first opened cell starts the game
+// POST /games/:id/flag    { "row", "col" }
+// POST /games/:id/chord   { "row", "col" }
+//
+// Rows and columns start from 0. A game shows only what the player can see until it is over:
+// cells are "unopened", "flagged" or the number of adjacent mines, the seed and the mines are added when the game ends
+
+const http = require("http");
+const crypto = require("crypto");
+const { Difficulty, Topology, Board } = require("./engine");
+
+const DEFAULT_PORT = 8080;
+
+// Error answered with an HTTP status, the message is sent to the client
+// headers: extra response headers, like the allowed methods of a 405 error
+class HttpError extends Error {
+    constructor(status, message, headers = {}) {
+        super(message);
+        this.name = "HttpError";
+        this.status = status;
+        this.headers = headers;
+    }
+}
+
+class GameServer {
+
+    // Sessions not used for this long are removed
+    static SESSION_TIMEOUT = 30 * 60 * 1000;
+
+    // Largest accepted request body in bytes
+    static MAX_BODY_SIZE = 64 * 1024;
+
+    static #_actions = ["open", "flag", "chord"];
+
+    #_sessions;
+    #_sessionTimeout;
+    #_server;
+    #_sweeper;
+
+    // options.sessionTimeout: idle time in milliseconds before a session expires
+    constructor(options = {}) {
+        this.#_sessions = new Map();
+        this.#_sessionTimeout = options.sessionTimeout ?? GameServer.SESSION_TIMEOUT;
+        this.#_server = http.createServer((request, response) => this.#handle(request, response));
+        this.#_sweeper = null;
+    }
+
+    get server() { return this.#_server; }
+
+    // Number of active sessions
+    get size() { return this.#_sessions.size; }
+
+    // Start listening, only local connections are accepted unless another host is given
+    listen(port = DEFAULT_PORT, host = "127.0.0.1") {
+        this.#_sweeper = setInterval(() => this.removeExpiredSessions(), Math.min(this.#_sessionTimeout, 60000));
+        this.#_sweeper.unref();
+
+        return new Promise((resolve, reject) => {
+            this.#_server.once("error", reject);
+            this.#_server.listen(port, host, () => resolve(this.#_server.address()));
+        });
+    }
+
+    close() {
+        clearInterval(this.#_sweeper);
+        return new Promise((resolve) => this.#_server.close(() => resolve()));
+    }
+
+    // Remove the sessions idle for longer than the session timeout
+    removeExpiredSessions(now = Date.now()) {
+        for (let [id, session] of this.#_sessions) {
+            if (now - session.lastUsed > this.#_sessionTimeout) { this.#_sessions.delete(id); }
+        }
+    }
+
+    async #handle(request, response) {
+        let status = 200;
+        let headers = {};
+        let body;
+
+        try {
+            ({ status, body } = await this.#route(request));
+        } catch (error) {
+            // Board and Difficulty throw a RangeError for invalid sizes and cell positions
+            if (error instanceof HttpError) {
+                status = error.status;
+            } else if (error instanceof RangeError) {
+                status = 400;
+            } else {
+                status = 500;
+            }
+            headers = error.headers ?? {};
+            body = { error: status === 500 ? "Internal server error" : error.message };
+        }
+
+        response.writeHead(status, { ...headers, "Content-Type": "application/json; charset=utf-8" });
+        response.end(JSON.stringify(body));
+    }
+
+    async #route(request) {
+        let { pathname } = new URL(request.url, "http://localhost");
+        let [collection, id, action, ...rest] = pathname.split("/").filter((part) => part !== "");
+
+        if (collection !== "games" || rest.length > 0) { throw new HttpError(404, `Not found: ${ pathname }`); }
+
+        if (id === undefined) {
+            GameServer.#checkMethod(request, "POST");
+            let board = GameServer.#createBoard(await GameServer.#readBody(request));
+            let newId = crypto.randomUUID();
+
+            this.#_sessions.set(newId, { board: board, lastUsed: Date.now() });
+            return { status: 201, body: GameServer.#view(newId, board) };
+        }
+
+        let session = this.#getSession(id);
+
+        if (action === undefined) {
+            GameServer.#checkMethod(request, "GET");
+            return { status: 200, body: GameServer.#view(id, session.board) };
+        }
+
+        if (!GameServer.#_actions.includes(action)) { throw new HttpError(404, `Unknown action: ${ action }`); }
+        GameServer.#checkMethod(request, "POST");
+        GameServer.#play(session.board, action, await GameServer.#readBody(request));
+        return { status: 200, body: GameServer.#view(id, session.board) };
+    }
+
+    // Return a session and mark it as used, an expired session is removed and not found
+    #getSession(id) {
+        let session = this.#_sessions.get(id);
+
+        if (session !== undefined && Date.now() - session.lastUsed > this.#_sessionTimeout) {
+            this.#_sessions.delete(id);
+            session = undefined;
+        }
+        if (session === undefined) { throw new HttpError(404, `Game not found: ${ id }`); }
+
+        session.lastUsed = Date.now();
+        return session;
+    }
+
+    static #checkMethod(request, method) {
+        if (request.method !== method) {
+            throw new HttpError(405, `Method not allowed: ${ request.method }`, { Allow: method });
+        }
+    }
+
+    // Read a JSON object from the request body, an empty body is an empty object
+    static async #readBody(request) {
+        let chunks = [];
+        let size = 0;
+
+        for await (let chunk of request) {
+            size += chunk.length;
+            if (size > GameServer.MAX_BODY_SIZE) { throw new HttpError(413, "Request body too large"); }
+            chunks.push(chunk);
+        }
+
+        let text = Buffer.concat(chunks).toString("utf8").trim();
+        if (text === "") { return {}; }
+
+        let body;
+        try {
+            body = JSON.parse(text);
+        } catch (error) {
+            throw new HttpError(400, `Invalid JSON: ${ error.message }`);
+        }
+        if (body === null || typeof body !== "object" || Array.isArray(body)) {
+            throw new HttpError(400, "The request body must be a JSON object");
+        }
+        return body;
+    }
+
+    static #createBoard({ difficulty = "beginner", rows, cols, mines, seed = null, topology = "square" }) {
+        if (seed !== null && typeof seed !== "string" && !Number.isInteger(seed)) {
+            throw new HttpError(400, "The seed must be a string or a whole number");
+        }
+
+        let options = { seed: seed, topology: Topology.fromName(topology) };
+
+        switch (typeof difficulty === "string" ? difficulty.toLowerCase() : difficulty) {
+            case "beginner":
+                return new Board(Difficulty.BEGINNER, options);
+            case "intermediate":
+                return new Board(Difficulty.INTERMEDIATE, options);
+            case "expert":
+                return new Board(Difficulty.EXPERT, options);
+            case "custom":
+                return new Board(Difficulty.custom(rows, cols, mines), options);
+            default:
+                throw new HttpError(400, `Unknown difficulty: ${ difficulty }, expected beginner, intermediate, expert or custom`);
+        }
+    }
+
+    // Apply a move, the first opened cell starts the game
+    static #play(board, action, { row, col }) {
+        if (!Number.isInteger(row) || !Number.isInteger(col)) {
+            throw new HttpError(400, "The row and col must be whole numbers");
+        }
+
+        let status = board.getGameInfo().status;
+        if (status.isGameOver || status.isGameWon) { throw new HttpError(409, "The game is over"); }
+        if (!status.isGameStarted && action !== "open") { throw new HttpError(409, "Open a cell to start the game"); }
+
+        switch (action) {
+            case "open":
+                if (!status.isGameStarted) { board.startGame(row, col); }
+                board.openCell(row, col);
+                break;
+            case "flag":
+                board.toggleFlag(row, col);
+                break;
+            case "chord":
+                board.chordCell(row, col);
+                break;
+        }
+    }
+
+    // Build the response of a game from its game info
+    // Unopened cells never tell if they hold a mine, and the seed, which gives away the layout, is hidden until the game ends
+    static #view(id, board) {
+        let { difficulty, seed, status, stats } = board.getGameInfo();
+        let isFinished = status.isGameOver || status.isGameWon;
+
+        let view = {
+            id:         id,
+            difficulty: difficulty,
+            topology:   board.topology.name,
+            rows:       board.rows,
+            cols:       board.cols,
+            mines:      board.mines,
+            status:     {
+                isGameStarted: status.isGameStarted,
+                isGameOver:    status.isGameOver,
+                isGameWon:     status.isGameWon
+            },
+            stats:      {
+                flags:            stats.flags,
+                openedCells:      stats.openedCells,
+                remainingMines:   stats.remainingMines,
+                gameTimeInSecond: stats.gameTimeInSecond,
+                moves:            stats.moves
+            },
+            board:      board.getPlayerBoard()
+        };
+
+        if (isFinished) {
+            view.seed = seed;
+            view.minesList = board.toJSON().minesList;
+        }
+        return view;
+    }
+}
+
+async function main() {
+    let port = process.argv[2] === undefined ? DEFAULT_PORT : parseInt(process.argv[2], 10);
+    let gameServer = new GameServer();
+    let { address, port: listeningPort } = await gameServer.listen(port);
+
+    console.log(`Minesweeper API listening on http://${ address }:${ listeningPort }`);
+}
+
+if (require.main === module) {
+    main().catch((error) => {
+        console.error(error.message);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { HttpError, GameServer };
@@ -0,0 +1,97 @@
+// Tests of the game engine, they need no dependency
+// Usage: node minesweeper/test.js
+//
+// Every board uses the same seed, so the tests can look up where the mines are
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Difficulty, Board } = require("./engine");
+const { RecordsStore } = require("./records");
+
+const SEED = "engine-test";
+
+// Return a beginner board started from its centre
+function startBoard(options = {}) {
+    let board = new Board(Difficulty.BEGINNER, { seed: SEED, ...options });
+    board.startGame(4, 4);
+    return board;
+}
+
+// Return the first unopened cell of a started board that is a mine, or that is safe
+function findUnopened(board, isMine) {
+    let mines = new Set(board.toJSON().minesList.map(([row, col]) => `${ row },${ col }`));
+    let gameBoard = board.getGameBoard();
+
+    for (let row = 0; row < board.rows; row++) {
+        for (let col = 0; col < board.cols; col++) {
+            if (!gameBoard[row][col].isOpened && mines.has(`${ row },${ col }`) === isMine) { return [row, col]; }
+        }
+    }
+    return null;
+}
+
+test("opening a flagged safe cell removes its flag and the game still saves and loads", () => {
+    let board = startBoard();
+    let [row, col] = findUnopened(board, false);
+
+    board.toggleFlag(row, col);
+    board.openCell(row, col);
+    let cell = board.getGameBoard()[row][col];
+    assert.ok(cell.isOpened);
+    assert.ok(!cell.isFlagged);
+
+    let restored = Board.fromJSON(JSON.stringify(board));
+    assert.deepEqual(restored.getPlayerBoard(), board.getPlayerBoard());
+    assert.equal(restored.getGameInfo().stats.flags, 0);
+    assert.equal(restored.toText(), board.toText());
+});
+
+test("opening a flagged cell gives its flag back to the remaining mine count", () => {
+    let board = startBoard({ lives: 3 });
+    let safe = findUnopened(board, false);
+    let mine = findUnopened(board, true);
+
+    board.toggleFlag(...safe);
+    assert.equal(board.getGameInfo().stats.remainingMines, 9);
+    board.openCell(...safe);
+    assert.equal(board.getGameInfo().stats.remainingMines, 10);
+
+    // An exploded mine is counted as found, like a flag
+    board.toggleFlag(...mine);
+    board.openCell(...mine);
+    assert.equal(board.getGameInfo().stats.flags, 0);
+    assert.equal(board.getGameInfo().stats.remainingMines, 9);
+});
+
+test("a saved game that is not JSON is rejected like any other invalid save", () => {
+    assert.throws(() => Board.fromJSON("{ not json"), { name: "TypeError", message: /^Invalid saved game: / });
+});
+
+test("an opened empty cell of an imported layout opens the cells around it", () => {
+    let board = Board.fromText("o.*..\n..*..\n..*..\n..*..\n..*..\n");
+
+    assert.equal(board.getGameInfo().stats.openedCells, 10);
+    assert.equal(board.toText({ playerView: true }), "02###\n03###\n03###\n03###\n02###\n");
+    assert.equal(Board.fromText(board.toText()).toText(), board.toText());
+});
+
+test("a game of an imported layout stays imported once saved and is not recorded", () => {
+    let board = Board.fromText("o.*..\n..*..\n..*..\n..*..\n..*..\n");
+    let restored = Board.fromJSON(JSON.stringify(board));
+    assert.ok(restored.getGameInfo().status.isImported);
+    assert.ok(!startBoard().getGameInfo().status.isImported);
+
+    // Lose the game on a mine, a finished game of a generated layout would be recorded
+    restored.openCell(0, 2);
+    let directory = fs.mkdtempSync(path.join(os.tmpdir(), "minesweeper-test-"));
+    try {
+        let store = new RecordsStore(path.join(directory, "test-records.json"));
+        assert.equal(store.recordGame(restored, "tester"), null);
+        assert.deepEqual(store.getRecords(), []);
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,197 @@
+// Browser front-end of the Minesweeper game
+// The rules are those of the Board engine loaded by engine.js, this file only draws the board and forwards the clicks
+
+const engine = globalThis.MinesweeperEngine;
+// Not named i18n, which engine.js declares in the scope shared by the scripts of the page
+const localization = globalThis.MinesweeperI18n;
+
+// Symbols of the cell states, numbers are drawn from the adjacent mines
+const SYMBOLS = {
+    unopened: "",
+    flagged:  "\u{1F6A9}",
+    mine:     "\u{1F4A3}",
+    exploded: "\u{1F4A5}",
+    empty:    ""
+};
+
+class WebGame {
+    #_elements;
+    #_board;
+    #_cells;
+    #_timer;
+
+    // elements: { board, difficulty, newGame, mineCounter, timer, message }
+    constructor(elements) {
+        this.#_elements = elements;
+        this.#_cells = [];
+        this.#_timer = null;
+
+        elements.newGame.addEventListener("click", () => this.newGame());
+        elements.difficulty.addEventListener("change", () => this.newGame());
+
+        // The right click flags instead of opening the browser menu, the middle click chords instead of scrolling
+        elements.board.addEventListener("contextmenu", (event) => {
+            event.preventDefault();
+            this.#handleClick(event, "flag");
+        });
+        elements.board.addEventListener("mousedown", (event) => {
+            if (event.button === 1) { event.preventDefault(); }
+        });
+        elements.board.addEventListener("click", (event) => this.#handleClick(event, "open"));
+        elements.board.addEventListener("dblclick", (event) => this.#handleClick(event, "chord"));
+        elements.board.addEventListener("auxclick", (event) => {
+            if (event.button === 1) { this.#handleClick(event, "chord"); }
+        });
+    }
+
+    get board() { return this.#_board; }
+
+    // Start a new game with the selected difficulty
+    newGame() {
+        this.#stopTimer();
+        this.#_board = new engine.Board(engine.Difficulty[this.#_elements.difficulty.value]);
+
+        this.#_board.on("gameStarted", () => this.#startTimer());
+        this.#_board.on("gameWon", () => this.#endGame(localization.t("web.won"), "won"));
+        this.#_board.on("gameLost", () => this.#endGame(localization.t("web.lost"), "lost"));
+
+        this.#createCells();
+        this.#showMessage(localization.t("web.start"), "");
+        this.render();
+    }
+
+    // Act on the clicked cell, the first opened cell starts the game
+    #handleClick(event, action) {
+        let element = event.target.closest(".cell");
+        if (element === null) { return; }
+
+        let board = this.#_board;
+        let row = Number(element.dataset.row);
+        let col = Number(element.dataset.col);
+        let status = board.getGameInfo().status;
+
+        switch (action) {
+            // The two clicks of a double click come before its chord, they open nothing on an opened cell
+            case "open":
+                if (status.isGameStarted && board.getGameBoard()[row][col].isOpened) { return; }
+                if (!status.isGameStarted) { board.startGame(row, col); }
+                board.openCell(row, col);
+                break;
+            case "flag":
+                if (status.isGameStarted) { board.toggleFlag(row, col); }
+                break;
+            case "chord":
+                board.chordCell(row, col);
+                break;
+        }
+        this.render();
+    }
+
+    // Create one button per cell, their content is set by render()
+    #createCells() {
+        let board = this.#_board;
+        let grid = this.#_elements.board;
+
+        grid.replaceChildren();
+        grid.style.gridTemplateColumns = `repeat(${ board.cols }, var(--cell-size))`;
+        this.#_cells = [];
+
+        for (let row = 0; row < board.rows; row++) {
+            this.#_cells[row] = [];
+
+            for (let col = 0; col < board.cols; col++) {
+                let element = document.createElement("button");
+                element.type = "button";
+                element.dataset.row = row;
+                element.dataset.col = col;
+                element.setAttribute("role", "gridcell");
+                grid.append(element);
+                this.#_cells[row][col] = element;
+            }
+        }
+    }
+
+    // Draw the cells and the counters from the game board
+    render() {
+        let info = this.#_board.getGameInfo();
+
+        info.board.forEach((cellsRow, row) => cellsRow.forEach((state, col) => {
+            let element = this.#_cells[row][col];
+            let symbol = state.currentState === "adjacent" ? `${ state.adjacentMines }` : SYMBOLS[state.currentState];
+
+            element.className = `cell ${ state.currentState }`;
+            if (state.currentState === "adjacent") { element.classList.add(`n${ state.adjacentMines }`); }
+            element.textContent = symbol;
+            let description = symbol === "" ? localization.t(`web.${ state.currentState }`) : symbol;
+            element.setAttribute("aria-label", localization.t("web.cell", row + 1, col + 1, description));
+        }));
+
+        this.#_elements.mineCounter.value = WebGame.#formatCounter(info.stats.remainingMines);
+        this.#_elements.timer.value = WebGame.#formatCounter(info.stats.gameTimeInSecond);
+    }
+
+    #startTimer() {
+        this.#showMessage("", "");
+        this.#_timer = setInterval(() => {
+            this.#_elements.timer.value = WebGame.#formatCounter(this.#_board.getGameInfo().stats.gameTimeInSecond);
+        }, 1000);
+    }
+
+    #stopTimer() {
+        clearInterval(this.#_timer);
+        this.#_timer = null;
+    }
+
+    #endGame(message, result) {
+        this.#stopTimer();
+        this.#showMessage(message, result);
+    }
+
+    #showMessage(text, result) {
+        this.#_elements.message.value = text;
+        this.#_elements.message.className = `message ${ result }`.trim();
+    }
+
+    // Three digits like the classic counters, a negative mine count keeps its sign
+    static #formatCounter(value) {
+        return value < 0 ? `-${ `${ -value }`.padStart(2, "0") }` : `${ Math.min(value, 999) }`.padStart(3, "0");
+    }
+}
+
+// Choose the first language of the browser that has a catalog, e.g. fr for fr-CA, else the default locale
+function selectPageLocale() {
+    let languages = [...(navigator.languages ?? []), navigator.language ?? ""];
+    let locales = languages.map((language) => language.split("-")[0].toLowerCase());
+    return locales.find((locale) => localization.LOCALES[locale] !== undefined) ?? localization.DEFAULT_LOCALE;
+}
+
+// Show the page in a locale: its lang attribute, and the texts, titles and labels of the elements marked in index.html
+function localizePage(locale) {
+    localization.Messages.current = new localization.Messages(locale);
+    document.documentElement.lang = locale;
+
+    document.querySelectorAll("[data-message]").forEach((element) => {
+        element.textContent = localization.t(element.dataset.message);
+    });
+    document.querySelectorAll("[data-message-title]").forEach((element) => {
+        element.title = localization.t(element.dataset.messageTitle);
+    });
+    document.querySelectorAll("[data-message-label]").forEach((element) => {
+        element.setAttribute("aria-label", localization.t(element.dataset.messageLabel));
+    });
+}
+
+// Start the game once the page is loaded, in the language of the browser
+window.addEventListener("DOMContentLoaded", () => {
+    localizePage(selectPageLocale());
+
+    let game = new WebGame({
+        board:       document.getElementById("board"),
+        difficulty:  document.getElementById("difficulty"),
+        newGame:     document.getElementById("new-game"),
+        mineCounter: document.getElementById("mine-counter"),
+        timer:       document.getElementById("timer"),
+        message:     document.getElementById("message")
+    });
+    game.newGame();
+});
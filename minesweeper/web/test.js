@@ -0,0 +1,389 @@
+// DOM-level tests of the browser front-end, they need no browser and no dependency
+// Usage: node minesweeper/web/test.js
+//
+// The scripts of index.html run in their page order in a vm context, with a stub document holding the elements of the page.
+// Clicks are dispatched on the generated .cell buttons and bubble to the board like in a browser, the clock is simulated
+// and every board uses the same seed, so the tests know where the mines are
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const PAGE = path.join(__dirname, "index.html");
+const SEED = "web-test";
+
+// Stub of a DOM event, preventDefault() is recorded
+class StubEvent {
+    constructor(type, options = {}) {
+        this.type = type;
+        this.button = options.button ?? 0;
+        this.target = null;
+        this.defaultPrevented = false;
+    }
+
+    preventDefault() { this.defaultPrevented = true; }
+}
+
+// Stub of the DOM elements used by the page: children, classes, data attributes, attributes and bubbling events
+class StubElement {
+    constructor(tagName, id = null) {
+        this.tagName = tagName.toUpperCase();
+        this.id = id;
+        this.parent = null;
+        this.children = [];
+        this.className = "";
+        this.dataset = {};
+        this.attributes = {};
+        this.style = {};
+        this.title = "";
+        this.textContent = "";
+        this.value = "";
+        this.listeners = {};
+    }
+
+    // Create an element from the attributes of a tag of the page, data-* attributes go to its dataset
+    static fromTag(tagName, attributes) {
+        let element = new StubElement(tagName);
+
+        for (let [, name, value] of attributes.matchAll(/([\w-]+)="([^"]*)"/g)) {
+            if (name === "id") {
+                element.id = value;
+            } else if (name === "title") {
+                element.title = value;
+            } else if (name.startsWith("data-")) {
+                element.dataset[name.slice(5).replace(/-(\w)/g, (match, letter) => letter.toUpperCase())] = value;
+            } else {
+                element.setAttribute(name, value);
+            }
+        }
+        return element;
+    }
+
+    get classList() {
+        let names = () => this.className.split(/\s+/).filter((name) => name !== "");
+        return {
+            contains: (name) => names().includes(name),
+            add: (name) => {
+                if (!names().includes(name)) { this.className = [...names(), name].join(" "); }
+            }
+        };
+    }
+
+    append(child) {
+        child.parent = this;
+        this.children.push(child);
+    }
+
+    replaceChildren() {
+        this.children.forEach((child) => { child.parent = null; });
+        this.children = [];
+    }
+
+    setAttribute(name, value) { this.attributes[name] = `${ value }`; }
+
+    getAttribute(name) { return this.attributes[name] ?? null; }
+
+    // Only class selectors are used by the page
+    closest(selector) {
+        let element = this;
+        while (element !== null && !element.classList.contains(selector.slice(1))) { element = element.parent; }
+        return element;
+    }
+
+    addEventListener(type, listener) { (this.listeners[type] ??= []).push(listener); }
+
+    // Call the listeners of the element and of its ancestors
+    dispatchEvent(event) {
+        event.target = this;
+        for (let element = this; element !== null; element = element.parent) {
+            (element.listeners[event.type] ?? []).forEach((listener) => listener(event));
+        }
+        return !event.defaultPrevented;
+    }
+}
+
+// Load the page in a browser with the given languages: create its elements, run its scripts and fire DOMContentLoaded
+// Return the page elements by id, the elements marked with data-message, the boards created by the page,
+// a function moving the clock forward and the cell buttons
+function loadPage(languages = ["en-US", "en"]) {
+    let html = fs.readFileSync(PAGE, "utf8");
+    let tags = [...html.matchAll(/<(\w+)(\s[^>]*)>/g)].map(([, tagName, attributes]) => StubElement.fromTag(tagName, attributes));
+    let elements = Object.fromEntries(tags.filter(({ id }) => id !== null).map((element) => [element.id, element]));
+    let messages = tags.filter(({ dataset }) => dataset.message !== undefined);
+    let documentElement = tags.find(({ tagName }) => tagName === "HTML");
+
+    elements.difficulty.value = html.match(/<option value="([^"]+)"/)[1];
+
+    // The page clock starts on a fixed date and only moves forward with advance()
+    let clock = { now: Date.UTC(2026, 0, 1), timers: new Map(), nextTimer: 1 };
+    class StubDate extends Date {
+        constructor(...args) {
+            if (args.length === 0) {
+                super(clock.now);
+            } else {
+                super(...args);
+            }
+        }
+
+        static now() { return clock.now; }
+    }
+
+    let window = {
+        Date:          StubDate,
+        setInterval:   (callback, delay) => {
+            clock.timers.set(clock.nextTimer, { callback: callback, delay: delay, next: clock.now + delay });
+            return clock.nextTimer++;
+        },
+        clearInterval: (id) => clock.timers.delete(id),
+        listeners:     {},
+        addEventListener(type, listener) { (this.listeners[type] ??= []).push(listener); },
+        navigator:     { languages: languages, language: languages[0] },
+        document:      {
+            documentElement:  { lang: documentElement.getAttribute("lang") },
+            getElementById:   (id) => elements[id] ?? null,
+            createElement:    (tagName) => new StubElement(tagName),
+            // Only attribute selectors of data attributes are used by the page, e.g. "[data-message-title]"
+            querySelectorAll: (selector) => {
+                let key = selector.slice("[data-".length, -1).replace(/-(\w)/g, (match, letter) => letter.toUpperCase());
+                return tags.filter(({ dataset }) => dataset[key] !== undefined);
+            }
+        }
+    };
+    window.window = window;
+    vm.createContext(window);
+
+    for (let [, src] of html.matchAll(/<script src="([^"]+)"><\/script>/g)) {
+        let file = path.join(path.dirname(PAGE), src);
+        vm.runInContext(fs.readFileSync(file, "utf8"), window, { filename: file });
+    }
+
+    // The page looks the Board class up for every new game, so its boards can be seeded and kept
+    let boards = [];
+    let engine = window.MinesweeperEngine;
+    let { Board } = engine;
+    engine.Board = class SeededBoard extends Board {
+        constructor(difficulty, options = {}) {
+            super(difficulty, { seed: SEED, ...options });
+            boards.push(this);
+        }
+    };
+
+    (window.listeners.DOMContentLoaded ?? []).forEach((listener) => listener(new StubEvent("DOMContentLoaded")));
+
+    let advance = (milliseconds) => {
+        clock.now += milliseconds;
+        for (let timer of clock.timers.values()) {
+            for (; timer.next <= clock.now; timer.next += timer.delay) { timer.callback(); }
+        }
+    };
+    let cell = (row, col) => elements.board.children.find(({ dataset }) => dataset.row === row && dataset.col === col);
+
+    return { elements, messages, document: window.document, boards, advance, cell, board: () => boards[boards.length - 1] };
+}
+
+// Dispatch a mouse event on an element and return the event
+function fire(element, type, button = 0) {
+    let event = new StubEvent(type, { button: button });
+    element.dispatchEvent(event);
+    return event;
+}
+
+// Start the game of the page by clicking a cell
+function startGame(page, row = 4, col = 4) {
+    fire(page.cell(row, col), "click");
+    return page.board();
+}
+
+// Return the cell positions of a started board, split into mines and safe cells
+function layout(board) {
+    let mines = board.toJSON().minesList;
+    let isMine = new Set(mines.map(([row, col]) => `${ row },${ col }`));
+    let safe = [];
+
+    for (let row = 0; row < board.rows; row++) {
+        for (let col = 0; col < board.cols; col++) {
+            if (!isMine.has(`${ row },${ col }`)) { safe.push([row, col]); }
+        }
+    }
+    return { mines, safe, isMine };
+}
+
+// Find an opened number with an unopened safe neighbour, chording it opens that neighbour once its mines are flagged
+function findChord(page) {
+    let board = page.board();
+    let { isMine } = layout(board);
+    let gameBoard = board.getGameBoard();
+
+    for (let row = 0; row < board.rows; row++) {
+        for (let col = 0; col < board.cols; col++) {
+            if (gameBoard[row][col].currentState !== "adjacent") { continue; }
+
+            let neighbours = board.topology.adjacentCells(row, col, board.rows, board.cols);
+            let closed = neighbours.find(([r, c]) => !isMine.has(`${ r },${ c }`) && !gameBoard[r][c].isOpened);
+            if (closed !== undefined) {
+                return { row, col, closed, mines: neighbours.filter(([r, c]) => isMine.has(`${ r },${ c }`)) };
+            }
+        }
+    }
+    return null;
+}
+
+// Flag the mines around a number with right clicks and chord it with an event, return the neighbour it should open
+function chord(page, type, button) {
+    let target = findChord(page);
+    assert.notEqual(target, null, "the test layout has a number to chord");
+
+    for (let [row, col] of target.mines) {
+        if (!page.cell(row, col).classList.contains("flagged")) { fire(page.cell(row, col), "contextmenu", 2); }
+    }
+    fire(page.cell(target.row, target.col), type, button);
+    return page.cell(...target.closed);
+}
+
+test("the page starts with a closed beginner board", () => {
+    let page = loadPage();
+    let { elements } = page;
+
+    assert.equal(elements.board.children.length, 64);
+    assert.ok(elements.board.children.every((element) => element.className === "cell unopened"));
+    assert.equal(elements["mine-counter"].value, "010");
+    assert.equal(elements.timer.value, "000");
+    assert.equal(elements.message.value, "Click any cell to start.");
+});
+
+test("the page is shown in the first language of the browser that has a catalog", () => {
+    let page = loadPage(["de-DE", "fr-CA", "en"]);
+    let { elements } = page;
+    let text = (key) => page.messages.find(({ dataset }) => dataset.message === key).textContent;
+
+    assert.equal(page.document.documentElement.lang, "fr");
+    assert.equal(text("web.title"), "Démineur");
+    assert.equal(text("difficulty.beginner"), "Débutant");
+    assert.equal(elements["new-game"].textContent, "Nouvelle partie");
+    let titles = page.document.querySelectorAll("[data-message-title]").map(({ title }) => title);
+    assert.deepEqual(titles, ["Mines restantes", "Temps de jeu"]);
+    assert.equal(elements.board.getAttribute("aria-label"), "Grille du démineur");
+    assert.equal(elements.message.value, "Cliquez sur une case pour commencer.");
+    assert.equal(page.cell(0, 0).getAttribute("aria-label"), "Ligne 1, colonne 1 : fermée");
+});
+
+test("a browser without a language of the catalogs gets the English page", () => {
+    let page = loadPage(["de-DE"]);
+
+    assert.equal(page.document.documentElement.lang, "en");
+    assert.equal(page.elements["new-game"].textContent, "New game");
+    assert.equal(page.elements.message.value, "Click any cell to start.");
+    assert.equal(page.cell(0, 0).getAttribute("aria-label"), "Row 1, column 1: unopened");
+});
+
+test("a left click starts the game and opens cells", () => {
+    let page = loadPage();
+    let board = startGame(page);
+    let opened = page.elements.board.children.filter((element) => !element.classList.contains("unopened"));
+
+    assert.ok(board.getGameInfo().status.isGameStarted);
+    assert.ok(!page.cell(4, 4).classList.contains("unopened"));
+    assert.equal(opened.length, board.getGameInfo().stats.openedCells);
+    assert.ok(opened.length > 0);
+    assert.equal(page.elements.message.value, "");
+});
+
+test("a right click flags a cell only once the game is started", () => {
+    let page = loadPage();
+
+    let event = fire(page.cell(0, 0), "contextmenu", 2);
+    assert.ok(event.defaultPrevented, "the browser menu is not opened");
+    assert.equal(page.cell(0, 0).className, "cell unopened");
+    assert.equal(page.elements["mine-counter"].value, "010");
+    assert.equal(page.board().getGameInfo().status.isGameStarted, false);
+
+    startGame(page);
+    let element = page.elements.board.children.find((cell) => cell.classList.contains("unopened"));
+    fire(element, "contextmenu", 2);
+    assert.equal(element.className, "cell flagged");
+    assert.equal(element.textContent, "\u{1F6A9}");
+    assert.equal(page.elements["mine-counter"].value, "009");
+
+    fire(element, "contextmenu", 2);
+    assert.equal(element.className, "cell unopened");
+    assert.equal(page.elements["mine-counter"].value, "010");
+});
+
+test("a middle click chords a number", () => {
+    let page = loadPage();
+    startGame(page);
+
+    let neighbour = chord(page, "auxclick", 1);
+    assert.ok(!neighbour.classList.contains("unopened"));
+});
+
+test("a click with another button than the middle one does not chord", () => {
+    let page = loadPage();
+    startGame(page);
+
+    let neighbour = chord(page, "auxclick", 2);
+    assert.ok(neighbour.classList.contains("unopened"));
+});
+
+test("a double click chords a number", () => {
+    let page = loadPage();
+    startGame(page);
+
+    let neighbour = chord(page, "dblclick", 0);
+    assert.ok(!neighbour.classList.contains("unopened"));
+});
+
+test("the clicks of a double click are not counted as wasted clicks", () => {
+    let page = loadPage();
+    let board = startGame(page);
+    let target = findChord(page);
+    let clicks = board.getGameInfo().stats.clicks;
+
+    target.mines.forEach(([row, col]) => fire(page.cell(row, col), "contextmenu", 2));
+    ["click", "click", "dblclick"].forEach((type) => fire(page.cell(target.row, target.col), type));
+
+    assert.ok(!page.cell(...target.closed).classList.contains("unopened"));
+    assert.deepEqual({ ...board.getGameInfo().stats.clicks }, { ...clicks, right: target.mines.length, chord: 1 });
+});
+
+test("opening every safe cell shows the win message", () => {
+    let page = loadPage();
+    let board = startGame(page);
+
+    layout(board).safe.forEach(([row, col]) => fire(page.cell(row, col), "click"));
+    assert.ok(board.getGameInfo().status.isGameWon);
+    assert.equal(page.elements.message.value, "You won!");
+    assert.equal(page.elements.message.className, "message won");
+});
+
+test("opening a mine shows the loss message", () => {
+    let page = loadPage();
+    fire(page.elements["new-game"], "click");
+    let board = startGame(page);
+    let [row, col] = layout(board).mines[0];
+
+    fire(page.cell(row, col), "click");
+    assert.ok(board.getGameInfo().status.isGameOver);
+    assert.equal(page.elements.message.value, "Game over!");
+    assert.equal(page.elements.message.className, "message lost");
+    assert.equal(page.cell(row, col).className, "cell exploded");
+});
+
+test("the timer counts the seconds of a game and stops when it ends", () => {
+    let page = loadPage();
+    page.advance(5000);
+    assert.equal(page.elements.timer.value, "000", "the timer waits for the first click");
+
+    let board = startGame(page);
+    page.advance(1000);
+    assert.equal(page.elements.timer.value, "001");
+    page.advance(2000);
+    assert.equal(page.elements.timer.value, "003");
+
+    let [row, col] = layout(board).mines[0];
+    fire(page.cell(row, col), "click");
+    page.advance(4000);
+    assert.equal(page.elements.timer.value, "003");
+});